@@ -10,46 +10,87 @@ const TI30XSCalculator = (function () {
   // Constants
   const PI = Math.PI;
   const E = Math.E;
-  const MAX_DISPLAY_LENGTH = 16;
+  const MAX_ENTRY_LENGTH = 88;
   const MAX_PRECISION = 13;
+  const GUARD_PRECISION = 15; // digits kept by each step of a calculation
   const DISPLAY_PRECISION = 10;
   const HISTORY_SIZE = 8;
+  const HISTORY_ROWS = 3;
+  const MAX_FRACTION_NUMERATOR = 9999999999;
+  const MAX_FRACTION_DENOMINATOR = 9999;
+  const FRACTION_TOLERANCE = 1e-12;
+  const COMPLEX_TOLERANCE = 1e-13;
+  const CANCELLATION_TOLERANCE = 1e-13;
+  const MAX_LIST_LENGTH = 42;
+  const DATA_EDITOR_COLUMNS = 3;
+  const SCREEN_ROWS = 4;
+  const RANDOM_SEEDS = { s1: 12345, s2: 67890 };
+  const OVERFLOW_LIMIT = 1e100;
+  const MAX_PENDING = 23; // open parentheses and functions in one entry
 
   // Calculator State
-  let state = {
-    isOn: false,
-    isSecondMode: false,
-    isAlphaMode: false,
-    angleMode: "DEG", // DEG, RAD, GRAD
-    displayMode: "NORM", // NORM, FIX, SCI, ENG
-    fixDecimals: 2,
-    entryLine: "",
-    resultLine: "",
-    history: [],
-    memory: {
-      M: 0,
-      x: 0,
-      y: 0,
-      z: 0,
-      t: 0,
-      a: 0,
-      b: 0,
-      c: 0,
-    },
-    lists: {
-      L1: [],
-      L2: [],
-      L3: [],
-      L4: [],
-      L5: [],
-      L6: [],
-    },
-    lastAnswer: 0,
-    cursorPosition: 0,
-    isInsertMode: false,
-    historyIndex: -1,
-    isInStatMode: false,
-  };
+  let state = createInitialState();
+
+  // Fresh state, used at startup and by RESET
+  function createInitialState() {
+    return {
+      isOn: false,
+      isSecondMode: false,
+      isAlphaMode: false,
+      isHypMode: false,
+      constant: null, // { operator, operand } applied on each ENTER
+      angleMode: "DEG", // DEG, RAD, GRAD
+      displayMode: "NORM", // NORM, FIX, SCI, ENG
+      displayFormat: "MATHPRINT", // MATHPRINT, CLASSIC
+      complexFormat: "RECT", // RECT (a+bi), POLAR (r∠θ)
+      fixDecimals: 2,
+      entryLine: "",
+      resultLine: "",
+      history: [],
+      memory: {
+        x: 0,
+        y: 0,
+        z: 0,
+        t: 0,
+        a: 0,
+        b: 0,
+        c: 0,
+      },
+      lists: {
+        L1: [],
+        L2: [],
+        L3: [],
+        L4: [],
+        L5: [],
+        L6: [],
+      },
+      listFormulas: {
+        L1: "",
+        L2: "",
+        L3: "",
+        L4: "",
+        L5: "",
+        L6: "",
+      },
+      lastAnswer: 0,
+      random: { ...RANDOM_SEEDS }, // generator state, set by storing to rand
+      cursorPosition: 0,
+      isInsertMode: true, // false overwrites the token under the cursor
+      historyIndex: -1, // the entry last recalled with 2nd + entry
+      historyLine: -1, // highlighted history line, counted up from the newest result
+      statResults: null,
+      tableFunction: "", // f(x), used by the table
+      tableSettings: { start: 0, step: 1, mode: "AUTO" }, // AUTO, ASK
+      solverEquation: "",
+      screen: null, // null for the home screen, "data", "stats", "table" or "solver"
+      menu: null, // the open in-display menu, drawn over any screen
+      homeEntry: "",
+      dataEditor: null,
+      statView: null,
+      tableView: null,
+      solverView: null,
+    };
+  }
 
   // DOM Elements
   let elements = {};
@@ -59,6 +100,7 @@ const TI30XSCalculator = (function () {
     setupDOMElements();
     setupEventListeners();
     setupKeyboardSupport();
+    restoreState();
     turnOn();
     updateDisplay();
   }
@@ -68,10 +110,9 @@ const TI30XSCalculator = (function () {
     elements = {
       // Display elements
       entryLine: document.getElementById("entry-line"),
-      resultLine: document.getElementById("result-line"),
-      historyLine1: document.getElementById("history-line-1"),
-      historyLine2: document.getElementById("history-line-2"),
+      history: document.getElementById("display-history"),
       display: document.querySelector(".display"),
+      screen: document.getElementById("display-screen"),
 
       // Status indicators
       secondIndicator: document.getElementById("second-indicator"),
@@ -125,6 +166,11 @@ const TI30XSCalculator = (function () {
       enterBtn: document.getElementById("enter-btn"),
       decimalBtn: document.getElementById("decimal-btn"),
       negativeBtn: document.getElementById("negative-btn"),
+      openParenBtn: document.getElementById("open-paren-btn"),
+      closeParenBtn: document.getElementById("close-paren-btn"),
+      fractionBtn: document.getElementById("fraction-btn"),
+      fractionDecimalBtn: document.getElementById("fraction-decimal-btn"),
+      hypBtn: document.getElementById("hyp-btn"),
 
       // Special buttons
       onBtn: document.getElementById("on-btn"),
@@ -157,13 +203,13 @@ const TI30XSCalculator = (function () {
     elements.deleteBtn.addEventListener("click", handleDeleteButton);
 
     // Navigation buttons
-    elements.upBtn.addEventListener("click", () => navigateHistory(-1));
-    elements.downBtn.addEventListener("click", () => navigateHistory(1));
-    elements.leftBtn.addEventListener("click", () => moveCursor(-1));
-    elements.rightBtn.addEventListener("click", () => moveCursor(1));
+    elements.upBtn.addEventListener("click", () => handleVerticalArrow(-1));
+    elements.downBtn.addEventListener("click", () => handleVerticalArrow(1));
+    elements.leftBtn.addEventListener("click", () => handleHorizontalArrow(-1));
+    elements.rightBtn.addEventListener("click", () => handleHorizontalArrow(1));
 
     // Clear button
-    elements.clearBtn.addEventListener("click", clearEntry);
+    elements.clearBtn.addEventListener("click", handleClearButton);
 
     // Scientific function buttons
     elements.sinBtn.addEventListener("click", () => handleTrigButton("sin"));
@@ -203,9 +249,25 @@ const TI30XSCalculator = (function () {
     elements.negativeBtn.addEventListener("click", () =>
       handleNegativeButton()
     );
+    elements.openParenBtn.addEventListener("click", () =>
+      handleParenthesisButton("(")
+    );
+    elements.closeParenBtn.addEventListener("click", () =>
+      handleParenthesisButton(")")
+    );
+
+    // Fraction buttons
+    elements.fractionBtn.addEventListener("click", handleFractionButton);
+    elements.fractionDecimalBtn.addEventListener(
+      "click",
+      handleFractionDecimalButton
+    );
+
+    // Hyp button
+    elements.hypBtn.addEventListener("click", handleHypButton);
 
     // Alpha button
-    elements.alphaBtn.addEventListener("click", toggleAlphaMode);
+    elements.alphaBtn.addEventListener("click", handleAlphaButton);
 
     // Stat button
     elements.statBtn.addEventListener("click", handleStatButton);
@@ -222,6 +284,9 @@ const TI30XSCalculator = (function () {
     // Apps button
     elements.appsBtn.addEventListener("click", handleAppsButton);
 
+    // Program button
+    elements.prgmBtn.addEventListener("click", handlePrgmButton);
+
     // Help panel
     elements.helpPanel.addEventListener("click", function (e) {
       if (e.target === elements.helpPanel) {
@@ -264,12 +329,21 @@ const TI30XSCalculator = (function () {
     // Decimal
     else if (key === ".") {
       handleDecimalButton();
+    } else if (key === "E") {
+      insertExponentMark();
     }
     // Operators
     else if (key === "+") {
       handleOperationButton("+");
     } else if (key === "-") {
-      handleOperationButton("−");
+      // A minus typed where no operand precedes it can only be negation.
+      // Right after a result, it subtracts from Ans like the − key.
+      continueFromAnswer();
+      if (expectsOperand()) {
+        insertNegative();
+      } else {
+        handleOperationButton("−");
+      }
     } else if (key === "*") {
       handleOperationButton("×");
     } else if (key === "/") {
@@ -277,27 +351,45 @@ const TI30XSCalculator = (function () {
     } else if (key === "^") {
       handlePowerButton();
     }
+    // Grouping and argument separators
+    else if (["(", ")", "[", "]", ","].includes(key)) {
+      insertToken(key);
+    } else if (key === "!") {
+      insertPostfix("!");
+    } else if (key === "<" || key === ">") {
+      insertOperator(key);
+    }
     // Enter/Equals
     else if (key === "Enter" || key === "=") {
+      // The solver takes "=" as part of its equation
+      if (key === "=" && handleScreenKey("equals")) return;
       handleEnterButton();
     }
-    // Backspace/Delete
-    else if (key === "Backspace" || key === "Delete") {
+    // Delete removes the token under the cursor, Backspace the one before it
+    else if (key === "Delete") {
       handleDeleteButton();
+    } else if (key === "Backspace") {
+      if (!handleScreenKey("delete")) {
+        deleteBeforeCursor();
+      }
     }
     // Escape/Clear
     else if (key === "Escape") {
-      clearEntry();
+      handleClearButton();
     }
     // Arrow keys
     else if (key === "ArrowLeft") {
-      moveCursor(-1);
+      handleHorizontalArrow(-1);
     } else if (key === "ArrowRight") {
-      moveCursor(1);
+      handleHorizontalArrow(1);
     } else if (key === "ArrowUp") {
-      navigateHistory(-1);
+      handleVerticalArrow(-1);
     } else if (key === "ArrowDown") {
-      navigateHistory(1);
+      handleVerticalArrow(1);
+    } else if (key === "Home") {
+      moveCursorTo(0);
+    } else if (key === "End") {
+      moveCursorTo(state.entryLine.length);
     }
   }
 
@@ -315,11 +407,20 @@ const TI30XSCalculator = (function () {
       "8",
       "9",
       ".",
+      "E",
       "+",
       "-",
       "*",
       "/",
       "^",
+      "(",
+      ")",
+      "[",
+      "]",
+      ",",
+      "!",
+      "<",
+      ">",
       "=",
       "Enter",
       "Backspace",
@@ -329,6 +430,8 @@ const TI30XSCalculator = (function () {
       "ArrowRight",
       "ArrowUp",
       "ArrowDown",
+      "Home",
+      "End",
     ];
     return calculatorKeys.includes(key);
   }
@@ -363,14 +466,24 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 2nd + DELETE = INSERT
-      toggleInsertMode();
+      if (!handleScreenKey("insert")) {
+        toggleInsertMode();
+      }
       state.isSecondMode = false;
       updateIndicators();
-    } else {
+    } else if (!handleScreenKey("delete")) {
       deleteCharacter();
     }
   }
 
+  function handleClearButton() {
+    if (!state.isOn) return;
+
+    if (!handleScreenKey("clear")) {
+      clearEntry();
+    }
+  }
+
   function handleNumberButton(num) {
     if (!state.isOn) return;
 
@@ -420,7 +533,7 @@ const TI30XSCalculator = (function () {
       }
       state.isSecondMode = false;
       updateIndicators();
-    } else {
+    } else if (!selectMenuShortcut(num)) {
       insertNumber(num);
     }
   }
@@ -428,14 +541,17 @@ const TI30XSCalculator = (function () {
   function handleTrigButton(func) {
     if (!state.isOn) return;
 
+    const name = state.isHypMode ? func + "h" : func;
+    state.isHypMode = false;
+
     if (state.isSecondMode) {
       // Inverse trig functions
-      executeTrigFunction(func, true);
+      insertFunction(name + "⁻¹");
       state.isSecondMode = false;
-      updateIndicators();
     } else {
-      executeTrigFunction(func, false);
+      insertFunction(name);
     }
+    updateIndicators();
   }
 
   function handleLogButton(func) {
@@ -443,11 +559,11 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 10^x or e^x
-      executeLogFunction(func, true);
+      insertTemplate(func === "log" ? "10^(" : "e^(", ")");
       state.isSecondMode = false;
       updateIndicators();
     } else {
-      executeLogFunction(func, false);
+      insertFunction(func);
     }
   }
 
@@ -456,12 +572,12 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // Square root
-      executeSquareRoot();
+      insertTemplate("√(", ")");
       state.isSecondMode = false;
       updateIndicators();
     } else {
       // Square
-      executePower(2);
+      insertPostfix("²");
     }
   }
 
@@ -470,11 +586,11 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // nth root
-      insertOperator("ˣ√");
+      insertPowerOperator("ˣ√");
       state.isSecondMode = false;
       updateIndicators();
     } else {
-      insertOperator("^");
+      insertPowerOperator("^");
     }
   }
 
@@ -483,11 +599,11 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // Absolute value
-      executeAbsolute();
+      insertTemplate("abs(", ")");
       state.isSecondMode = false;
       updateIndicators();
     } else {
-      executeReciprocal();
+      insertPostfix("⁻¹");
     }
   }
 
@@ -523,7 +639,7 @@ const TI30XSCalculator = (function () {
           break;
         case "+":
           // 2nd + + = entry
-          showMessage("Entry function not implemented");
+          recallPreviousEntry();
           break;
       }
       state.isSecondMode = false;
@@ -538,9 +654,13 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 2nd + ENTER = SOLVE
-      showMessage("Solve function not implemented");
+      openSolver();
       state.isSecondMode = false;
       updateIndicators();
+    } else if (handleScreenKey("enter")) {
+      return;
+    } else if (state.historyLine >= 0) {
+      pasteHistoryLine();
     } else {
       calculate();
     }
@@ -564,7 +684,7 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 2nd + (−) = ! (factorial)
-      executeFactorial();
+      insertPostfix("!");
       state.isSecondMode = false;
       updateIndicators();
     } else {
@@ -572,17 +692,81 @@ const TI30XSCalculator = (function () {
     }
   }
 
+  function handleParenthesisButton(paren) {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + ( = comma, 2nd + ) = ]
+      insertToken(paren === "(" ? "," : "]");
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      insertToken(paren);
+    }
+  }
+
+  function handleFractionButton() {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + n/d = Un/d
+      insertMixedNumber();
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      insertFraction();
+    }
+  }
+
+  function handleFractionDecimalButton() {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + F◂▸D = n/d◂▸Un/d
+      toggleMixedResult();
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      toggleFractionDecimal();
+    }
+  }
+
+  function handleHypButton() {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + hyp = ×10ⁿ
+      insertExponentMark();
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      toggleHypMode();
+    }
+  }
+
+  function handleAlphaButton() {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + ALPHA = K (constant)
+      toggleConstantMode();
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      toggleAlphaMode();
+    }
+  }
+
   function handleStatButton() {
     if (!state.isOn) return;
 
     if (state.isSecondMode) {
-      // 2nd + STAT = stat menu
-      openStatisticsMenu();
+      // 2nd + STAT = last statistics results
+      showStatVars();
       state.isSecondMode = false;
       updateIndicators();
     } else {
-      // Regular stat mode
-      toggleStatMode();
+      openStatisticsMenu();
     }
   }
 
@@ -591,7 +775,7 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 2nd + DATA = [
-      insertOperator("[");
+      insertToken("[");
       state.isSecondMode = false;
       updateIndicators();
     } else {
@@ -608,7 +792,7 @@ const TI30XSCalculator = (function () {
       state.isSecondMode = false;
       updateIndicators();
     } else {
-      insertVariable("x");
+      cycleVariable();
     }
   }
 
@@ -617,7 +801,7 @@ const TI30XSCalculator = (function () {
 
     if (state.isSecondMode) {
       // 2nd + MATH = TEST
-      showMessage("Test menu not implemented");
+      showTestMenu();
       state.isSecondMode = false;
       updateIndicators();
     } else {
@@ -638,6 +822,19 @@ const TI30XSCalculator = (function () {
     }
   }
 
+  function handlePrgmButton() {
+    if (!state.isOn) return;
+
+    if (state.isSecondMode) {
+      // 2nd + PRGM = CPLX
+      showComplexMenu();
+      state.isSecondMode = false;
+      updateIndicators();
+    } else {
+      showMessage("Programs not implemented");
+    }
+  }
+
   // Power functions
   function turnOn() {
     state.isOn = true;
@@ -647,10 +844,12 @@ const TI30XSCalculator = (function () {
 
   function turnOff() {
     state.isOn = false;
-    state.entryLine = "";
+    setEntryLine("");
     state.resultLine = "";
     state.isSecondMode = false;
     state.isAlphaMode = false;
+    state.isHypMode = false;
+    state.menu = null;
     updateDisplay();
     updateIndicators();
   }
@@ -663,703 +862,5609 @@ const TI30XSCalculator = (function () {
     updateButtonStates();
   }
 
-  function toggleAlphaMode() {
+  // HYP applies to the next sin, cos or tan key only
+  function toggleHypMode() {
     if (!state.isOn) return;
-    state.isAlphaMode = !state.isAlphaMode;
-    showMessage(state.isAlphaMode ? "Alpha mode ON" : "Alpha mode OFF");
+    state.isHypMode = !state.isHypMode;
+    updateIndicators();
   }
 
-  function toggleStatMode() {
+  function toggleAlphaMode() {
     if (!state.isOn) return;
-    state.isInStatMode = !state.isInStatMode;
-    updateIndicators();
-    showMessage(state.isInStatMode ? "STAT mode ON" : "STAT mode OFF");
+    state.isAlphaMode = !state.isAlphaMode;
+    showMessage(state.isAlphaMode ? "Alpha mode ON" : "Alpha mode OFF");
   }
 
   function quitCurrentMode() {
-    state.isInStatMode = false;
+    handleScreenKey("quit");
     state.isAlphaMode = false;
+    state.isHypMode = false;
+    state.constant = null;
     updateIndicators();
     showMessage("Quit to home");
   }
 
   // Input functions
-  function insertNumber(num) {
+  // Everything is inserted at the cursor. In MathPrint, template keys also
+  // insert the closing delimiter of their slot and leave the cursor inside.
+  function insertText(text, cursorOffset = text.length) {
     if (!state.isOn) return;
+    // A menu only takes typing on its input rows
+    if (state.menu && !isMenuInputRow(getMenuItem())) return;
+    state.historyLine = -1;
+
+    const position = state.cursorPosition;
+    // Overwrite replaces the unit under the cursor; templates always insert
+    let replaced = 0;
+    if (!state.isInsertMode && cursorOffset === text.length) {
+      const unit = getEditUnits(state.entryLine).find(
+        (candidate) => candidate.start === position
+      );
+      if (unit && !isStructuralUnit(unit)) {
+        replaced = unit.end - unit.start;
+      }
+    }
 
-    if (state.entryLine.length >= MAX_DISPLAY_LENGTH) {
+    if (state.entryLine.length - replaced + text.length > MAX_ENTRY_LENGTH) {
       showError("Entry too long");
       return;
     }
 
-    state.entryLine += num;
+    state.entryLine =
+      state.entryLine.slice(0, position) +
+      text +
+      state.entryLine.slice(position + replaced);
+    state.cursorPosition = position + cursorOffset;
     updateDisplay();
   }
 
+  // Opens a template slot in MathPrint; Classic only needs the opening text
+  function insertTemplate(open, close) {
+    if (state.displayFormat === "MATHPRINT") {
+      insertText(open + close, open.length);
+    } else {
+      insertText(open);
+    }
+  }
+
+  function insertNumber(num) {
+    insertText(num);
+  }
+
   function insertDecimal() {
     if (!state.isOn) return;
 
-    const currentNumber = getCurrentNumber();
-    if (currentNumber.includes(".")) {
+    const { before, after } = getCurrentNumber();
+    if (before.includes(EXPONENT_MARK)) {
+      showError("Exponent must be a whole number");
+      return;
+    }
+    if ((before + after).split(EXPONENT_MARK)[0].includes(".")) {
       showError("Decimal already exists");
       return;
     }
 
-    if (state.entryLine === "" || isOperator(state.entryLine.slice(-1))) {
-      state.entryLine += "0.";
-    } else {
-      state.entryLine += ".";
-    }
-    updateDisplay();
+    insertText(before === "" ? "0." : ".");
   }
 
-  function insertNegative() {
+  // A number takes one exponent
+  function insertExponentMark() {
     if (!state.isOn) return;
 
-    if (state.entryLine === "") {
-      state.entryLine = "−";
-    } else {
-      // Toggle negative sign
-      if (state.entryLine.startsWith("−")) {
-        state.entryLine = state.entryLine.substring(1);
-      } else {
-        state.entryLine = "−" + state.entryLine;
-      }
+    const { before, after } = getCurrentNumber();
+    if ((before + after).includes(EXPONENT_MARK)) {
+      return;
     }
 
-    updateDisplay();
+    insertToken(EXPONENT_MARK);
+  }
+
+  // The (−) key enters negation, which is a separate token from subtraction
+  function insertNegative() {
+    insertToken("⁻");
   }
 
   function insertOperator(operator) {
     if (!state.isOn) return;
+    continueFromAnswer();
 
-    // Don't add operator if entry is empty (except for minus)
-    if (state.entryLine === "" && operator !== "−") {
+    // Don't add operator if entry is empty
+    if (getTextBeforeCursor() === "") {
       return;
     }
 
     // Replace last operator if consecutive operators
-    const lastChar = state.entryLine.slice(-1);
-    if (isOperator(lastChar) && operator !== "(" && operator !== "−") {
-      state.entryLine = state.entryLine.slice(0, -1) + operator;
+    const lastOperator = getTrailingOperator();
+    if (lastOperator) {
+      state.cursorPosition -= lastOperator.length;
+      state.entryLine =
+        state.entryLine.slice(0, state.cursorPosition) +
+        state.entryLine.slice(state.cursorPosition + lastOperator.length);
+    }
+
+    insertText(operator);
+  }
+
+  // ^ and ˣ√ take their exponent or radicand in a MathPrint slot
+  function insertPowerOperator(operator) {
+    continueFromAnswer();
+    if (state.displayFormat !== "MATHPRINT") {
+      insertOperator(operator);
+    } else if (!hasOperandBeforeCursor()) {
+      // The nth root template starts in its empty index slot
+      if (operator === "ˣ√") {
+        insertText("()ˣ√()", 1);
+      }
     } else {
-      state.entryLine += operator;
+      insertTemplate(operator + "(", ")");
     }
+  }
 
-    updateDisplay();
+  // In MathPrint a number just typed becomes the numerator; otherwise the
+  // template starts with an empty numerator
+  function insertFraction() {
+    if (state.displayFormat !== "MATHPRINT") {
+      insertToken(FRACTION_BAR);
+    } else if (hasOperandBeforeCursor()) {
+      insertTemplate(FRACTION_BAR + "(", ")");
+    } else {
+      insertText("()" + FRACTION_BAR + "()", 1);
+    }
   }
 
-  function insertConstant(type) {
+  function insertMixedNumber() {
+    if (state.displayFormat !== "MATHPRINT") {
+      insertToken(MIXED_SEPARATOR);
+    } else if (hasOperandBeforeCursor()) {
+      insertTemplate(MIXED_SEPARATOR + "(", ")" + FRACTION_BAR + "()");
+    } else {
+      insertText("()" + MIXED_SEPARATOR + "()" + FRACTION_BAR + "()", 1);
+    }
+  }
+
+  // An operator pressed first on the home screen after a result starts
+  // the new entry with Ans, so 2+3 ENTER ×4 ENTER gives 20
+  function continueFromAnswer() {
+    if (
+      state.entryLine === "" &&
+      state.history.length > 0 &&
+      !state.screen &&
+      !state.menu
+    ) {
+      insertAnswer();
+    }
+  }
+
+  function insertToken(token) {
+    insertText(token);
+  }
+
+  function insertFunction(name) {
+    insertToken(name + "(");
+  }
+
+  function insertPostfix(symbol) {
     if (!state.isOn) return;
+    continueFromAnswer();
+
+    // Postfix operators need an operand to their left
+    if (getTextBeforeCursor() === "") {
+      return;
+    }
+
+    insertToken(symbol);
+  }
 
+  function insertConstant(type) {
     switch (type) {
       case "pi":
-        state.entryLine += "π";
+        insertText("π");
         break;
       case "e":
-        state.entryLine += "e";
+        insertText("e");
         break;
       case "i":
-        state.entryLine += "i";
+        insertText("i");
         break;
     }
-
-    updateDisplay();
   }
 
   function insertVariable(varName) {
-    if (!state.isOn) return;
-    state.entryLine += varName;
+    insertText(varName);
+  }
+
+  // Repeated x-var presses step through x, y, z, t, a, b and c
+  function cycleVariable() {
+    let last;
+    try {
+      const tokens = tokenize(getTextBeforeCursor());
+      last = tokens[tokens.length - 1];
+    } catch (error) {
+      last = null;
+    }
+
+    if (!last || last.type !== "variable") {
+      insertVariable("x");
+      return;
+    }
+
+    const next =
+      VARIABLES[(VARIABLES.indexOf(last.value) + 1) % VARIABLES.length];
+    state.entryLine =
+      state.entryLine.slice(0, last.position) +
+      next +
+      state.entryLine.slice(state.cursorPosition);
     updateDisplay();
   }
 
   function insertList(listName) {
-    if (!state.isOn) return;
-    state.entryLine += listName;
-    updateDisplay();
+    insertText(listName);
   }
 
   function insertAnswer() {
-    if (!state.isOn) return;
-    const answer = state.lastAnswer.toString();
-    state.entryLine += answer;
-    updateDisplay();
+    insertToken("Ans");
   }
 
   // Edit functions
   function clearEntry() {
     if (!state.isOn) return;
 
-    state.entryLine = "";
+    setEntryLine("");
     state.resultLine = "";
+    state.historyLine = -1;
     updateDisplay();
   }
 
-  function deleteCharacter() {
-    if (!state.isOn) return;
-
-    if (state.entryLine.length > 0) {
-      state.entryLine = state.entryLine.slice(0, -1);
-      updateDisplay();
-    }
-  }
-
-  function toggleInsertMode() {
-    if (!state.isOn) return;
-    state.isInsertMode = !state.isInsertMode;
-    showMessage(state.isInsertMode ? "Insert mode ON" : "Overwrite mode");
+  // Replace the entry line, leaving the cursor at its end
+  function setEntryLine(text) {
+    state.entryLine = text;
+    state.cursorPosition = text.length;
   }
 
-  function moveCursor(direction) {
+  // DELETE removes the unit under the cursor, or the one before it at the
+  // end of the entry
+  function deleteCharacter() {
     if (!state.isOn) return;
 
-    const newPosition = state.cursorPosition + direction;
-    if (newPosition >= 0 && newPosition <= state.entryLine.length) {
-      state.cursorPosition = newPosition;
-      updateDisplay();
+    if (state.cursorPosition >= state.entryLine.length) {
+      deleteBeforeCursor();
+      return;
     }
-  }
 
-  function navigateHistory(direction) {
-    if (!state.isOn || state.history.length === 0) return;
+    const units = getEditUnits(state.entryLine);
+    const index = units.findIndex(
+      (unit) => unit.start === state.cursorPosition
+    );
+    if (index === -1) return;
 
-    if (direction === -1) {
-      // Up arrow
-      if (state.historyIndex < state.history.length - 1) {
-        state.historyIndex++;
-        const historyItem = state.history[state.historyIndex];
-        state.entryLine = historyItem.entry;
-        updateDisplay();
-      }
+    // A MathPrint closing delimiter is stepped over rather than deleted
+    if (isClosingUnit(units[index])) {
+      moveCursor(1);
     } else {
-      // Down arrow
-      if (state.historyIndex > 0) {
-        state.historyIndex--;
-        const historyItem = state.history[state.historyIndex];
-        state.entryLine = historyItem.entry;
-        updateDisplay();
-      } else if (state.historyIndex === 0) {
-        state.historyIndex = -1;
-        state.entryLine = "";
-        updateDisplay();
-      }
+      removeUnit(units, index);
     }
   }
 
-  // Memory functions
-  function storeValue() {
+  function deleteBeforeCursor() {
     if (!state.isOn) return;
 
-    const value = state.resultLine
-      ? parseFloat(state.resultLine)
-      : parseFloat(state.entryLine) || 0;
-    state.memory.M = value;
-    showMessage(`Stored ${formatNumber(value)} in M`);
-  }
-
-  function recallValue() {
-    if (!state.isOn) return;
+    const units = getEditUnits(state.entryLine);
+    const index = units.findIndex((unit) => unit.end === state.cursorPosition);
+    if (index === -1) return;
 
-    const value = state.memory.M.toString();
-    state.entryLine += value;
-    updateDisplay();
+    if (isClosingUnit(units[index])) {
+      moveCursor(-1);
+    } else {
+      removeUnit(units, index);
+    }
   }
 
-  // Scientific functions
-  function executeTrigFunction(func, isInverse = false) {
-    if (!state.isOn) return;
-
+  // Edit units
+  // The cursor moves, deletes and overwrites whole tokens such as sin(, L1
+  // and ˣ√; only numbers are edited digit by digit. Text that cannot be
+  // tokenized is edited character by character.
+  function getEditUnits(text) {
+    let tokens;
     try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
-      let result;
-
-      if (isInverse) {
-        // Inverse functions
-        switch (func) {
-          case "sin":
-            result = Math.asin(value);
-            break;
-          case "cos":
-            result = Math.acos(value);
-            break;
-          case "tan":
-            result = Math.atan(value);
-            break;
-        }
-        result = convertRadiansToAngle(result);
-      } else {
-        // Regular functions
-        const angleInRadians = convertAngleToRadians(value);
-        switch (func) {
-          case "sin":
-            result = Math.sin(angleInRadians);
-            break;
-          case "cos":
-            result = Math.cos(angleInRadians);
-            break;
-          case "tan":
-            result = Math.tan(angleInRadians);
-            break;
-        }
-      }
-
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory(state.entryLine, state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
+      tokens = tokenize(text);
     } catch (error) {
-      showError("Invalid input");
+      return Array.from(text, (char, i) => ({ start: i, end: i + 1 }));
     }
-  }
 
-  function executeLogFunction(func, isInverse = false) {
-    if (!state.isOn) return;
-
-    try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
-      let result;
-
-      if (isInverse) {
-        // Inverse functions
-        switch (func) {
-          case "log":
-            result = Math.pow(10, value);
-            break;
-          case "ln":
-            result = Math.pow(E, value);
-            break;
+    const units = [];
+    tokens.forEach((token) => {
+      const { type, value, position } = token;
+      if (type === "number") {
+        for (let i = 0; i < token.text.length; i++) {
+          units.push({ start: position + i, end: position + i + 1, type });
         }
       } else {
-        // Regular functions
-        switch (func) {
-          case "log":
-            result = Math.log10(value);
-            break;
-          case "ln":
-            result = Math.log(value);
-            break;
-        }
+        units.push({
+          start: position,
+          end: position + token.text.length,
+          type,
+          value,
+        });
       }
+    });
+    return units;
+  }
 
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory(state.entryLine, state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
-    } catch (error) {
-      showError("Invalid input");
-    }
+  // In MathPrint, delimiters and template symbols shape the layout, so they
+  // are not edited like the text between them
+  function isStructuralUnit(unit) {
+    return (
+      state.displayFormat === "MATHPRINT" &&
+      (["lparen", "lbracket", "function", "rparen", "rbracket"].includes(
+        unit.type
+      ) ||
+        isTemplateUnit(unit))
+    );
   }
 
-  function executeFactorial() {
-    if (!state.isOn) return;
+  function isClosingUnit(unit) {
+    return (
+      state.displayFormat === "MATHPRINT" &&
+      (unit.type === "rparen" || unit.type === "rbracket")
+    );
+  }
 
-    try {
-      const value = state.entryLine
-        ? parseInt(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
+  function isTemplateUnit(unit) {
+    return (
+      unit.type === "fractionBar" ||
+      unit.type === "mixedSeparator" ||
+      unit.value === "^" ||
+      unit.value === "ˣ√"
+    );
+  }
 
-      if (value < 0 || value !== Math.floor(value)) {
-        showError("Invalid input for factorial");
-        return;
-      }
+  function isOpeningUnit(unit) {
+    return ["lparen", "lbracket", "function"].includes(unit.type);
+  }
+
+  // In MathPrint an opening delimiter goes with its closing one, and a
+  // template symbol takes its empty slots with it. Deleting an empty slot
+  // deletes its template.
+  function removeUnit(units, index) {
+    const unit = units[index];
+    const ranges = [unit];
 
-      if (value > 170) {
-        showError("Factorial too large");
+    if (state.displayFormat === "MATHPRINT" && isEmptySlotAt(units, index)) {
+      const template = [index - 1, index + 2].find(
+        (i) => units[i] && isTemplateUnit(units[i])
+      );
+      if (template !== undefined) {
+        removeUnit(units, template);
         return;
       }
+    }
 
-      let result = 1;
-      for (let i = 2; i <= value; i++) {
-        result *= i;
+    if (state.displayFormat === "MATHPRINT" && isOpeningUnit(unit)) {
+      let depth = 0;
+      const close = units.slice(index).find((candidate) => {
+        if (isOpeningUnit(candidate)) depth++;
+        if (["rparen", "rbracket"].includes(candidate.type)) depth--;
+        return depth === 0;
+      });
+      if (close) {
+        ranges.push(close);
       }
-
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory(state.entryLine + "!", state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
-    } catch (error) {
-      showError("Invalid input");
+    } else if (state.displayFormat === "MATHPRINT" && isTemplateUnit(unit)) {
+      [
+        [units[index - 2], units[index - 1]],
+        [units[index + 1], units[index + 2]],
+      ].forEach(([open, close]) => {
+        if (open && isEmptySlotAt(units, units.indexOf(open))) {
+          ranges.push(open, close);
+        }
+      });
     }
+
+    let text = state.entryLine;
+    let cursor = unit.start;
+    ranges
+      .sort((a, b) => b.start - a.start)
+      .forEach((range) => {
+        text = text.slice(0, range.start) + text.slice(range.end);
+        if (range.end <= cursor) {
+          cursor -= range.end - range.start;
+        }
+      });
+
+    state.entryLine = text;
+    state.cursorPosition = cursor;
+    updateDisplay();
   }
 
-  function executePower(power) {
-    if (!state.isOn) return;
+  // True for an empty pair of parentheses starting at the given unit
+  function isEmptySlotAt(units, index) {
+    const open = units[index];
+    const close = units[index + 1];
+    return Boolean(
+      open &&
+        close &&
+        open.type === "lparen" &&
+        close.type === "rparen" &&
+        open.end === close.start
+    );
+  }
 
-    try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
-      const result = Math.pow(value, power);
-
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory(
-        state.entryLine + (power === 2 ? "²" : "³"),
-        state.resultLine
-      );
-      state.entryLine = "";
-      updateDisplay();
-    } catch (error) {
-      showError("Invalid input");
-    }
+  // Classic stops the cursor between units
+  function getUnitBoundaries(text) {
+    const boundaries = new Set([0, text.length]);
+    getEditUnits(text).forEach((unit) => {
+      boundaries.add(unit.start);
+      boundaries.add(unit.end);
+    });
+    return boundaries;
   }
 
-  function executeSquareRoot() {
+  function toggleInsertMode() {
     if (!state.isOn) return;
+    state.isInsertMode = !state.isInsertMode;
+    showMessage(state.isInsertMode ? "Insert mode ON" : "Overwrite mode");
+  }
 
+  // MathPrint skips the hidden delimiters of template slots; both formats
+  // step over multi-character tokens
+  function moveCursor(direction) {
+    if (!state.isOn) return;
+
+    const stops =
+      state.displayFormat === "MATHPRINT"
+        ? getCursorStops(state.entryLine)
+        : getUnitBoundaries(state.entryLine);
+    let newPosition = state.cursorPosition + direction;
+    while (
+      newPosition > 0 &&
+      newPosition < state.entryLine.length &&
+      !stops.has(newPosition)
+    ) {
+      newPosition += direction;
+    }
+
+    if (newPosition >= 0 && newPosition <= state.entryLine.length) {
+      state.cursorPosition = newPosition;
+      updateDisplay();
+    }
+  }
+
+  // Home and End jump to either end of the entry
+  function moveCursorTo(position) {
+    if (!state.isOn) return;
+
+    state.cursorPosition = position;
+    updateDisplay();
+  }
+
+  function handleHorizontalArrow(direction) {
+    if (!state.isOn) return;
+    if (handleScreenKey(direction < 0 ? "left" : "right")) return;
+
+    state.historyLine = -1;
+    moveCursor(direction);
+  }
+
+  // Up and down move between the numerator and denominator of a MathPrint
+  // fraction; anywhere else they scroll through history
+  function handleVerticalArrow(direction) {
+    if (!state.isOn) return;
+    if (handleScreenKey(direction < 0 ? "up" : "down")) return;
+
+    if (!moveToVerticalSlot(direction)) {
+      navigateHistory(direction);
+    }
+  }
+
+  // Returns false when there is no slot above or below the cursor
+  function moveToVerticalSlot(direction) {
+    if (state.displayFormat !== "MATHPRINT") return false;
+
+    const target = getVerticalSlotTarget(
+      state.entryLine,
+      state.cursorPosition,
+      direction
+    );
+    if (target === null) return false;
+
+    state.cursorPosition = target;
+    updateDisplay();
+    return true;
+  }
+
+  // Up and down walk the history lines, newest first: each result, then
+  // the expression above it. Moving down from the newest result returns to
+  // the entry line.
+  function navigateHistory(direction) {
+    if (!state.isOn || state.history.length === 0) return;
+
+    const line = state.historyLine - direction;
+    if (line < state.history.length * 2) {
+      state.historyLine = Math.max(-1, line);
+      updateDisplay();
+    }
+  }
+
+  // ENTER pastes the highlighted expression, or the value of the
+  // highlighted result, at the cursor
+  function pasteHistoryLine() {
+    const item = state.history[Math.floor(state.historyLine / 2)];
+    const isResult = state.historyLine % 2 === 0;
+    state.historyLine = -1;
+
+    if (!isResult) {
+      insertText(item.entry);
+    } else if (item.value !== undefined) {
+      insertText(formatEntryValue(item.value));
+    } else {
+      insertText(item.result);
+    }
+  }
+
+  // 2nd + entry steps back through previous expressions, starting again
+  // after the oldest
+  function recallPreviousEntry() {
+    if (state.history.length === 0) return;
+
+    state.historyIndex = (state.historyIndex + 1) % state.history.length;
+    state.historyLine = -1;
+    setEntryLine(state.history[state.historyIndex].entry);
+    updateDisplay();
+  }
+
+  // Memory functions
+  // sto→ calculates the entry, or takes Ans when the entry is empty, and
+  // stores the result in the chosen variable
+  function storeValue() {
+    if (!state.isOn) return;
+
+    openMenu([
+      {
+        title: "STO→",
+        items: [
+          ...VARIABLES.map((name) => ({
+            label: name,
+            select: () => storeInVariable(name),
+          })),
+          { label: "rand", select: seedRandom },
+        ],
+      },
+      {
+        title: "LIST",
+        items: LIST_NAMES.map((name) => ({
+          label: name,
+          select: () => storeInList(name),
+        })),
+      },
+    ]);
+  }
+
+  function storeInVariable(name) {
+    if (state.entryLine && !evaluateEntry(state.entryLine)) return;
+    if (isList(state.lastAnswer)) {
+      showError("Lists can only be stored in L1–L6");
+      return;
+    }
+    state.memory[name] = state.lastAnswer;
+    showMessage(`${formatValue(state.lastAnswer)}→${name}`);
+  }
+
+  // Storing a list replaces the list and any formula that defined it
+  function storeInList(name) {
+    if (state.entryLine && !evaluateEntry(state.entryLine)) return;
+    if (!isList(state.lastAnswer)) {
+      showError(`Only a list can be stored in ${name}`);
+      return;
+    }
+    if (state.lastAnswer.some(isComplex)) {
+      showError("Lists hold real numbers only");
+      return;
+    }
+    state.lists[name] = state.lastAnswer
+      .map(toNumber)
+      .slice(0, MAX_LIST_LENGTH);
+    state.listFormulas[name] = "";
+    updateListFormulas();
+    showMessage(`${formatValue(state.lastAnswer)}→${name}`);
+  }
+
+  // A whole number stored to rand restarts the generator, so the same seed
+  // always gives the same sequence; 0 restores the factory seeds
+  function seedRandom() {
+    if (state.entryLine && !evaluateEntry(state.entryLine)) return;
+
+    const seed = state.lastAnswer;
+    if (!isWholeNumber(seed)) {
+      showError("The seed must be a whole number");
+      return;
+    }
+    state.random =
+      seed === 0
+        ? { ...RANDOM_SEEDS }
+        : {
+            s1: (reduceSeed(seed, RANDOM_MODULUS_1) * 40014) % RANDOM_MODULUS_1,
+            s2: reduceSeed(seed, RANDOM_MODULUS_2),
+          };
+    showMessage(`${seed}→rand`);
+  }
+
+  // Each generator's state must lie from 1 to its modulus − 1; a state of
+  // 0, as a multiple of the modulus would give, stays 0 forever
+  function reduceSeed(seed, modulus) {
+    return (seed % (modulus - 1)) + 1;
+  }
+
+  // Lists every variable with its value; the last item clears them all
+  function recallValue() {
+    if (!state.isOn) return;
+
+    openMenu([
+      {
+        title: "RECALL",
+        items: [
+          ...VARIABLES.map((name) => ({
+            label: `${name}=${formatValue(state.memory[name])}`,
+            select: () => recallVariable(name),
+          })),
+          { label: "Clear all variables", select: clearVariables },
+        ],
+      },
+    ]);
+  }
+
+  function recallVariable(name) {
+    insertText(formatEntryValue(state.memory[name]));
+  }
+
+  // Resets the variables only; modes, lists and history are kept
+  function clearVariables() {
+    VARIABLES.forEach((name) => {
+      state.memory[name] = 0;
+    });
+    showMessage("Variables cleared");
+  }
+
+  // Fraction functions
+  function toggleFractionDecimal() {
+    if (!state.isOn) return;
+
+    // Convert a pending entry by calculating it first
+    if (state.entryLine) {
+      calculate();
+      if (state.entryLine) return;
+    }
+
+    if (!state.resultLine || isList(state.lastAnswer)) return;
+
+    const value = state.lastAnswer;
+    state.lastAnswer = isFraction(value)
+      ? toNumber(value)
+      : decimalToFraction(value);
+    showResult(formatValue(state.lastAnswer));
+  }
+
+  function toggleMixedResult() {
+    if (!state.isOn || !isFraction(state.lastAnswer)) return;
+
+    const isMixed = state.resultLine.includes(MIXED_SEPARATOR);
+    showResult(formatFraction(state.lastAnswer, !isMixed));
+  }
+
+  // Replace the displayed result, keeping the history entry in step
+  function showResult(text) {
+    state.resultLine = text;
+    if (state.history.length > 0) {
+      state.history[0].result = text;
+      state.history[0].value = state.lastAnswer;
+    }
+    updateDisplay();
+  }
+
+  // In-display menus
+  // Menus draw over the display, and over any open screen, as on the real
+  // MultiView. A menu is a list of tabs, each with a title and items:
+  //   { label, select }          runs select after the menu closes
+  //   { label, choices, choice } left and right pick a choice; an optional
+  //                              change(choice) applies it immediately
+  //   { label, input }           text edited on the entry line
+  // A tab may also have a message, shown under its title.
+  // Left and right switch tabs, up and down move the highlight, and ENTER
+  // selects. In tabs of plain items, number keys select directly. CLEAR
+  // leaves the menu. The entry line underneath is kept while it is open.
+  function openMenu(tabs) {
+    const saved = state.menu
+      ? state.menu.saved
+      : { entry: state.entryLine, cursor: state.cursorPosition };
+    state.menu = { tabs, tab: 0, row: 0, firstRow: 0, saved };
+    loadMenuInput();
+    updateDisplay();
+  }
+
+  function closeMenu() {
+    const { saved } = state.menu;
+    state.menu = null;
+    state.entryLine = saved.entry;
+    state.cursorPosition = saved.cursor;
+    updateDisplay();
+  }
+
+  function getMenuItems() {
+    return state.menu.tabs[state.menu.tab].items;
+  }
+
+  function getMenuItem() {
+    return getMenuItems()[state.menu.row];
+  }
+
+  function isMenuInputRow(item) {
+    return item.input !== undefined;
+  }
+
+  // Tabs of plain items are numbered 1 to 9, then 0
+  function isMenuList(items) {
+    return items.every((item) => item.select);
+  }
+
+  // An input row is edited on the entry line while it is highlighted
+  function loadMenuInput() {
+    const item = getMenuItem();
+    setEntryLine(isMenuInputRow(item) ? item.input : "");
+  }
+
+  function storeMenuInput() {
+    const item = getMenuItem();
+    if (isMenuInputRow(item)) {
+      item.input = state.entryLine;
+    }
+  }
+
+  function handleMenuKey(key) {
+    const menu = state.menu;
+    const item = getMenuItem();
+
+    switch (key) {
+      case "up":
+      case "down":
+        highlightMenuRow(menu.row + (key === "up" ? -1 : 1));
+        return true;
+      case "left":
+      case "right": {
+        const direction = key === "left" ? -1 : 1;
+        if (item.choices) {
+          const count = item.choices.length;
+          item.choice = (item.choice + direction + count) % count;
+          if (item.change) {
+            item.change(item.choice);
+            refreshMenuChoices(menu);
+          }
+          updateDisplay();
+          return true;
+        }
+        // Input rows move their cursor
+        if (isMenuInputRow(item)) return false;
+
+        const count = menu.tabs.length;
+        menu.tab = (menu.tab + direction + count) % count;
+        menu.row = 0;
+        menu.firstRow = 0;
+        loadMenuInput();
+        updateDisplay();
+        return true;
+      }
+      case "enter":
+        selectMenuRow(menu.row);
+        return true;
+      case "clear":
+        if (isMenuInputRow(item) && state.entryLine) {
+          setEntryLine("");
+          updateDisplay();
+        } else {
+          closeMenu();
+        }
+        return true;
+      case "delete":
+      case "insert":
+        return !isMenuInputRow(item);
+      default:
+        return true;
+    }
+  }
+
+  function highlightMenuRow(row) {
+    const menu = state.menu;
+    storeMenuInput();
+    menu.row = Math.max(0, Math.min(getMenuItems().length - 1, row));
+    scrollToRow(menu);
+    loadMenuInput();
+    updateDisplay();
+  }
+
+  // Items run once the menu has closed, so they act on the entry line or
+  // screen beneath it; other rows pass ENTER on to the next row
+  function selectMenuRow(row) {
+    const item = getMenuItems()[row];
+
+    if (item.select) {
+      storeMenuInput();
+      closeMenu();
+      item.select();
+    } else {
+      highlightMenuRow(row + 1);
+    }
+  }
+
+  // Returns true when a menu took the number key
+  function selectMenuShortcut(digit) {
+    if (!state.menu) return false;
+    if (isMenuInputRow(getMenuItem())) return false;
+
+    const items = getMenuItems();
+    const row = digit === "0" ? 9 : parseInt(digit) - 1;
+    if (isMenuList(items) && items[row]) {
+      selectMenuRow(row);
+    }
+    return true;
+  }
+
+  function renderMenu() {
+    const menu = state.menu;
+    const items = getMenuItems();
+    const numbered = isMenuList(items);
+
+    const tabs = menu.tabs
+      .map(
+        (tab, i) =>
+          `<span class="menu-tab${i === menu.tab ? " selected" : ""}">` +
+          `${escapeHtml(tab.title)}</span>`
+      )
+      .join("");
+    let html = `<div class="screen-title">${tabs}</div>`;
+    const { message } = menu.tabs[menu.tab];
+    if (message) {
+      html += `<div class="screen-row">${escapeHtml(message)}</div>`;
+    }
+
+    items
+      .slice(menu.firstRow, menu.firstRow + SCREEN_ROWS)
+      .forEach((item, i) => {
+        const row = menu.firstRow + i;
+        const isHighlighted = row === menu.row;
+        // Input rows show the cursor instead of the highlight
+        const selected =
+          isHighlighted && !isMenuInputRow(item) ? " selected" : "";
+        html += `<div class="screen-row${selected}">${renderMenuItem(
+          item,
+          numbered ? `${(row + 1) % 10}:` : "",
+          isHighlighted
+        )}</div>`;
+      });
+    return html;
+  }
+
+  function renderMenuItem(item, prefix, isHighlighted) {
+    const label = escapeHtml(prefix + item.label);
+
+    if (item.choices) {
+      const choices = item.choices.map(
+        (choice, i) =>
+          `<span class="menu-choice${i === item.choice ? " selected" : ""}">` +
+          `${escapeHtml(choice)}</span>`
+      );
+      return `${label} ${choices.join(" ")}`;
+    }
+    if (isMenuInputRow(item)) {
+      return (
+        label + (isHighlighted ? renderEntryLine() : escapeHtml(item.input))
+      );
+    }
+    return label;
+  }
+
+  // Menu functions
+  // MODE changes each setting as soon as its choice moves
+  // Rows with a current function show the state it reads, which a change
+  // to another row can move, as choosing FIX digits selects FIX
+  function refreshMenuChoices(menu) {
+    menu.tabs[menu.tab].items.forEach((item) => {
+      if (item.current) {
+        item.choice = item.current();
+      }
+    });
+  }
+
+  function openModeMenu() {
+    const angleModes = ["DEG", "RAD", "GRAD"];
+    const displayModes = ["NORM", "FIX", "SCI", "ENG"];
+    const displayFormats = ["MATHPRINT", "CLASSIC"];
+    const complexFormats = ["RECT", "POLAR"];
+
+    openMenu([
+      {
+        title: "MODE",
+        items: [
+          {
+            label: "",
+            choices: angleModes,
+            current: () => angleModes.indexOf(state.angleMode),
+            change: (choice) => setAngleMode(angleModes[choice]),
+          },
+          {
+            label: "",
+            choices: displayModes,
+            current: () => displayModes.indexOf(state.displayMode),
+            change: (choice) => setDisplayMode(displayModes[choice]),
+          },
+          {
+            label: "FIX",
+            choices: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+            current: () => state.fixDecimals,
+            change: setFixDecimals,
+          },
+          {
+            label: "",
+            choices: ["MathPrint", "Classic"],
+            current: () => displayFormats.indexOf(state.displayFormat),
+            change: (choice) => setDisplayFormat(displayFormats[choice]),
+          },
+          {
+            label: "",
+            choices: ["a+bi", "r∠θ"],
+            current: () => complexFormats.indexOf(state.complexFormat),
+            change: (choice) => setComplexFormat(complexFormats[choice]),
+          },
+        ],
+      },
+    ]);
+    refreshMenuChoices(state.menu);
+    updateDisplay();
+  }
+
+  function setComplexFormat(format) {
+    state.complexFormat = format;
+    if (state.resultLine) {
+      showResult(formatValue(state.lastAnswer));
+    }
+    updateDisplay();
+  }
+
+  function setDisplayFormat(format) {
+    state.displayFormat = format;
+    updateDisplay();
+  }
+
+  function setDisplayMode(mode) {
+    if (!state.isOn) return;
+    state.displayMode = mode;
+    updateIndicators();
+    if (state.resultLine) {
+      showResult(formatValue(state.lastAnswer));
+    }
+  }
+
+  // Choosing the decimal places also switches to FIX
+  function setFixDecimals(decimals) {
+    state.fixDecimals = decimals;
+    setDisplayMode("FIX");
+  }
+
+  function setAngleMode(mode) {
+    state.angleMode = mode;
+    updateIndicators();
+  }
+
+  // DMS holds the angle markers and ►DMS, R◂▸P the polar conversions
+  function showAngleMenu() {
+    openMenu([
+      {
+        title: "DMS",
+        items: [
+          ...ANGLE_MARKERS.map((marker) => ({
+            label: marker,
+            select: () => insertPostfix(marker),
+          })),
+          { label: "►DMS", select: () => insertPostfix("►DMS") },
+        ],
+      },
+      {
+        title: "R◂▸P",
+        items: ["R►Pr", "R►Pθ", "P►Rx", "P►Ry"].map((name) => ({
+          label: name + "(",
+          select: () => insertFunction(name),
+        })),
+      },
+    ]);
+  }
+
+  // MATH holds conversions and roots, NUM the number functions and PRB
+  // counting
+  function showMathMenu() {
+    openMenu([
+      {
+        title: "MATH",
+        items: [
+          ...["►n/d◂▸Un/d", "►factor"].map((name) => ({
+            label: name,
+            select: () => insertPostfix(name),
+          })),
+          { label: "³", select: () => insertPostfix("³") },
+          { label: "³√(", select: () => insertFunction("³√") },
+          { label: "ˣ√", select: () => insertPowerOperator("ˣ√") },
+        ],
+      },
+      {
+        title: "NUM",
+        items: [
+          "abs",
+          "round",
+          "iPart",
+          "fPart",
+          "int",
+          "min",
+          "max",
+          "remainder",
+          "lcm",
+          "gcd",
+        ].map((name) => ({
+          label: name + "(",
+          select: () => insertFunction(name),
+        })),
+      },
+      {
+        title: "LIST",
+        items: ["sum", "prod", "mean", "median", "min", "max"].map((name) => ({
+          label: name + "(",
+          select: () => insertFunction(name),
+        })),
+      },
+      {
+        title: "PRB",
+        items: [
+          { label: "nPr", select: () => insertOperator("nPr") },
+          { label: "nCr", select: () => insertOperator("nCr") },
+          { label: "!", select: () => insertPostfix("!") },
+          { label: "rand", select: () => insertToken("rand") },
+          { label: "randint(", select: () => insertFunction("randint") },
+          { label: "randbin(", select: () => insertFunction("randbin") },
+        ],
+      },
+    ]);
+  }
+
+  // TEST holds the relations and LOGIC the logic operators
+  function showTestMenu() {
+    openMenu([
+      {
+        title: "TEST",
+        items: RELATIONS.map((op) => ({
+          label: op,
+          select: () => insertOperator(op),
+        })),
+      },
+      {
+        title: "LOGIC",
+        items: [
+          ...LOGIC_OPERATORS.map((op) => ({
+            label: op,
+            select: () => insertOperator(` ${op} `),
+          })),
+          { label: "not(", select: () => insertFunction("not") },
+        ],
+      },
+    ]);
+  }
+
+  function showComplexMenu() {
+    openMenu([
+      {
+        title: "CPLX",
+        items: [
+          ...["conj", "real", "imag", "arg", "abs"].map((name) => ({
+            label: name + "(",
+            select: () => insertFunction(name),
+          })),
+          { label: "i", select: () => insertConstant("i") },
+        ],
+      },
+    ]);
+  }
+
+  function showAppsMenu() {
+    showMessage("Apps menu not implemented");
+  }
+
+  function resetCalculator() {
+    openMenu([
+      {
+        title: "RESET",
+        items: [
+          { label: "No", select: () => {} },
+          {
+            label: "Yes",
+            select: () => {
+              clearSavedState();
+              state = createInitialState();
+              state.isOn = true;
+              updateDisplay();
+              updateIndicators();
+              showMessage("Calculator reset");
+            },
+          },
+        ],
+      },
+    ]);
+  }
+
+  // Persistence
+  // Settings and user data are saved to localStorage whenever the display or
+  // indicators update, and restored at startup. Each saved copy records its
+  // schema version so older copies can be migrated; copies that cannot be
+  // read are discarded in favor of the defaults.
+  const STORAGE_KEY = "ti30xs-calculator";
+  const STORAGE_VERSION = 1;
+
+  // MIGRATIONS[n] upgrades a version n copy to version n + 1. Add an entry
+  // and bump STORAGE_VERSION whenever the saved shape changes.
+  const MIGRATIONS = {};
+
+  // Settings restricted to a known set of values
+  const PERSISTED_SETTINGS = {
+    angleMode: ["DEG", "RAD", "GRAD"],
+    displayMode: ["NORM", "FIX", "SCI", "ENG"],
+    displayFormat: ["MATHPRINT", "CLASSIC"],
+    complexFormat: ["RECT", "POLAR"],
+  };
+
+  function saveState() {
+    const saved = {
+      version: STORAGE_VERSION,
+      angleMode: state.angleMode,
+      displayMode: state.displayMode,
+      displayFormat: state.displayFormat,
+      complexFormat: state.complexFormat,
+      fixDecimals: state.fixDecimals,
+      history: state.history,
+      memory: state.memory,
+      lists: state.lists,
+      listFormulas: state.listFormulas,
+      lastAnswer: state.lastAnswer,
+      random: state.random,
+      statResults: state.statResults,
+      tableFunction: state.tableFunction,
+      tableSettings: state.tableSettings,
+      solverEquation: state.solverEquation,
+    };
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      // Storage can be full or disabled; the calculator works without it
+    }
+  }
+
+  function restoreState() {
+    let saved;
+    try {
+      saved = migrateSavedState(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch (error) {
+      saved = null;
+    }
+
+    if (!saved) return;
+
+    Object.keys(PERSISTED_SETTINGS).forEach((key) => {
+      if (PERSISTED_SETTINGS[key].includes(saved[key])) {
+        state[key] = saved[key];
+      }
+    });
+    if (Number.isInteger(saved.fixDecimals)) {
+      state.fixDecimals = Math.max(0, Math.min(9, saved.fixDecimals));
+    }
+    if (isStoredValue(saved.lastAnswer)) {
+      state.lastAnswer = saved.lastAnswer;
+    }
+    const random = saved.random;
+    if (
+      random &&
+      Number.isInteger(random.s1) &&
+      Number.isInteger(random.s2) &&
+      random.s1 > 0 &&
+      random.s1 < RANDOM_MODULUS_1 &&
+      random.s2 > 0 &&
+      random.s2 < RANDOM_MODULUS_2
+    ) {
+      state.random = { s1: random.s1, s2: random.s2 };
+    }
+
+    if (Array.isArray(saved.history)) {
+      state.history = saved.history
+        .filter(
+          (item) =>
+            item &&
+            typeof item.entry === "string" &&
+            typeof item.result === "string"
+        )
+        .slice(0, HISTORY_SIZE)
+        .map(({ entry, result, value }) =>
+          isStoredValue(value) ? { entry, result, value } : { entry, result }
+        );
+    }
+
+    VARIABLES.forEach((name) => {
+      if (saved.memory && isStoredValue(saved.memory[name])) {
+        state.memory[name] = saved.memory[name];
+      }
+    });
+
+    LIST_NAMES.forEach((name) => {
+      const list = saved.lists && saved.lists[name];
+      if (Array.isArray(list) && list.every(isStoredValue)) {
+        state.lists[name] = list.slice(0, MAX_LIST_LENGTH);
+      }
+      const formula = saved.listFormulas && saved.listFormulas[name];
+      if (typeof formula === "string") {
+        state.listFormulas[name] = formula;
+      }
+    });
+
+    if (isStoredStatResults(saved.statResults)) {
+      state.statResults = saved.statResults;
+    }
+    if (typeof saved.tableFunction === "string") {
+      state.tableFunction = saved.tableFunction;
+    }
+    const settings = saved.tableSettings;
+    if (
+      settings &&
+      Number.isFinite(settings.start) &&
+      Number.isFinite(settings.step) &&
+      settings.step !== 0 &&
+      ["AUTO", "ASK"].includes(settings.mode)
+    ) {
+      state.tableSettings = settings;
+    }
+    if (typeof saved.solverEquation === "string") {
+      state.solverEquation = saved.solverEquation;
+    }
+  }
+
+  // Returns the saved copy at the current version, or null if it is
+  // missing, unreadable or from a newer version
+  function migrateSavedState(saved) {
+    if (
+      !saved ||
+      typeof saved !== "object" ||
+      !Number.isInteger(saved.version)
+    ) {
+      return null;
+    }
+
+    let migrated = saved;
+    while (migrated.version < STORAGE_VERSION) {
+      const migrate = MIGRATIONS[migrated.version];
+      if (!migrate) return null;
+      migrated = { ...migrate(migrated), version: migrated.version + 1 };
+    }
+
+    return migrated.version === STORAGE_VERSION ? migrated : null;
+  }
+
+  function clearSavedState() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing to clear when storage is unavailable
+    }
+  }
+
+  // Numbers, fractions and complex values as the engine produces them
+  function isStoredValue(value) {
+    if (typeof value === "number") return Number.isFinite(value);
+    if (!value || typeof value !== "object") return false;
+    if (value.type === "fraction") {
+      return (
+        Number.isInteger(value.numerator) &&
+        Number.isInteger(value.denominator) &&
+        value.denominator > 0
+      );
+    }
+    return (
+      value.type === "complex" &&
+      Number.isFinite(value.re) &&
+      Number.isFinite(value.im)
+    );
+  }
+
+  // Each statistic has a known name and a value, or null when undefined
+  function isStoredStatResults(results) {
+    return (
+      Boolean(results) &&
+      typeof results.title === "string" &&
+      (results.equation === undefined ||
+        typeof results.equation === "string") &&
+      Array.isArray(results.items) &&
+      results.items.every(
+        (item) =>
+          item &&
+          (STAT_VARIABLES.includes(item.name) ||
+            COEFFICIENT_NAMES.includes(item.name)) &&
+          (item.value === null || isStoredValue(item.value))
+      )
+    );
+  }
+
+  // Screens
+  // DATA and the other full-screen apps take over the display. While one is
+  // open, the keys it handles are routed to it before the home screen.
+  function handleScreenKey(key) {
+    // QUIT leaves a menu and the screen beneath it
+    if (state.menu) {
+      if (key !== "quit") return handleMenuKey(key);
+      closeMenu();
+    }
+
+    switch (state.screen) {
+      case "data":
+        return handleDataEditorKey(key);
+      case "stats":
+        return handleStatsScreenKey(key);
+      case "table":
+        return handleTableKey(key);
+      case "solver":
+        return handleSolverKey(key);
+      default:
+        return false;
+    }
+  }
+
+  function renderScreen() {
+    switch (state.screen) {
+      case "data":
+        return renderDataEditor();
+      case "stats":
+        return renderStatsScreen();
+      case "table":
+        return renderTableScreen();
+      case "solver":
+        return renderSolverScreen();
+      default:
+        return "";
+    }
+  }
+
+  // The home screen's entry is kept while a screen is open
+  function openScreen(screen) {
+    if (!state.screen) {
+      state.homeEntry = state.entryLine;
+    }
+    state.screen = screen;
+    state.historyLine = -1;
+    setEntryLine("");
+    updateDisplay();
+  }
+
+  function closeScreen() {
+    state.screen = null;
+    setEntryLine(state.homeEntry);
+    updateDisplay();
+  }
+
+  // Scroll a screen's rows so the cursor row stays in view
+  function scrollToRow(view) {
+    if (view.row < view.firstRow) {
+      view.firstRow = view.row;
+    } else if (view.row >= view.firstRow + SCREEN_ROWS) {
+      view.firstRow = view.row - SCREEN_ROWS + 1;
+    }
+  }
+
+  // Data editor
+  // The grid shows three of the six lists at a time. Values are typed on the
+  // edit line at the bottom, which reuses the home screen's entry line, so
+  // any expression can be entered into a cell.
+  function openDataEditor() {
+    if (state.screen === "data") {
+      openDataMenu();
+      return;
+    }
+
+    state.dataEditor = {
+      column: 0,
+      row: 0,
+      firstColumn: 0,
+      firstRow: 0,
+      formulaList: null,
+    };
+    openScreen("data");
+  }
+
+  function handleDataEditorKey(key) {
+    const editor = state.dataEditor;
+
+    switch (key) {
+      case "up":
+        moveDataCursor(0, -1);
+        return true;
+      case "down":
+        moveDataCursor(0, 1);
+        return true;
+      case "left":
+        moveDataCursor(-1, 0);
+        return true;
+      case "right":
+        moveDataCursor(1, 0);
+        return true;
+      case "enter":
+        if (editor.formulaList) {
+          saveListFormula();
+        } else {
+          moveDataCursor(0, 1);
+        }
+        return true;
+      case "delete":
+        if (state.entryLine) {
+          deleteCharacter();
+        } else if (!editor.formulaList) {
+          deleteDataCell();
+        }
+        return true;
+      case "insert":
+        if (!editor.formulaList) {
+          insertDataCell();
+        }
+        return true;
+      case "clear":
+        editor.formulaList = null;
+        setEntryLine("");
+        updateDisplay();
+        return true;
+      case "quit":
+        closeScreen();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  function getCurrentListName() {
+    return LIST_NAMES[state.dataEditor.column];
+  }
+
+  // Moving off a cell stores what was typed into it first
+  function moveDataCursor(columnStep, rowStep) {
+    const editor = state.dataEditor;
+    if (editor.formulaList) return;
+    if (state.entryLine && !commitDataEntry()) return;
+
+    editor.column = Math.max(
+      0,
+      Math.min(LIST_NAMES.length - 1, editor.column + columnStep)
+    );
+
+    // The cursor may rest on the empty cell after the end of a list
+    const list = state.lists[getCurrentListName()];
+    const lastRow = Math.min(list.length, MAX_LIST_LENGTH - 1);
+    editor.row = Math.max(0, Math.min(lastRow, editor.row + rowStep));
+
+    // Scroll to keep the cursor in view
+    if (editor.column < editor.firstColumn) {
+      editor.firstColumn = editor.column;
+    } else if (editor.column >= editor.firstColumn + DATA_EDITOR_COLUMNS) {
+      editor.firstColumn = editor.column - DATA_EDITOR_COLUMNS + 1;
+    }
+    scrollToRow(editor);
+
+    updateDisplay();
+  }
+
+  // Typing a value into a list defined by a formula removes the formula
+  function commitDataEntry() {
+    const editor = state.dataEditor;
+    const name = getCurrentListName();
+
+    let value;
+    try {
+      value = evaluateExpression(parseExpression(state.entryLine));
+      // A cell holds one real number
+      if (isList(value) || isComplex(value)) {
+        throw createCalculatorError(
+          "A list holds real numbers only",
+          0,
+          "DATA TYPE"
+        );
+      }
+    } catch (error) {
+      showErrorScreen(error, state.entryLine);
+      return false;
+    }
+
+    if (!isFinite(toNumber(value))) {
+      showError("Invalid calculation");
+      return false;
+    }
+
+    if (state.listFormulas[name]) {
+      state.listFormulas[name] = "";
+      showMessage(`Formula removed from ${name}`);
+    }
+
+    state.lists[name][editor.row] = value;
+    setEntryLine("");
+    updateListFormulas();
+    return true;
+  }
+
+  function deleteDataCell() {
+    const name = getCurrentListName();
+    const list = state.lists[name];
+    if (state.dataEditor.row >= list.length) return;
+
+    if (state.listFormulas[name]) {
+      state.listFormulas[name] = "";
+      showMessage(`Formula removed from ${name}`);
+    }
+
+    list.splice(state.dataEditor.row, 1);
+    updateListFormulas();
+    updateDisplay();
+  }
+
+  function insertDataCell() {
+    const name = getCurrentListName();
+    const list = state.lists[name];
+
+    if (list.length >= MAX_LIST_LENGTH) {
+      showError("List is full");
+      return;
+    }
+
+    if (state.listFormulas[name]) {
+      state.listFormulas[name] = "";
+      showMessage(`Formula removed from ${name}`);
+    }
+
+    list.splice(Math.min(state.dataEditor.row, list.length), 0, 0);
+    updateListFormulas();
+    updateDisplay();
+  }
+
+  function openDataMenu() {
+    const name = getCurrentListName();
+
+    openMenu([
+      {
+        title: "CLEAR",
+        items: [
+          { label: `Clear ${name}`, select: () => clearData([name]) },
+          { label: "Clear ALL", select: () => clearData(LIST_NAMES) },
+        ],
+      },
+      {
+        title: "FORMULA",
+        items: [
+          {
+            label: "Add/Edit Frmla",
+            select: () => {
+              state.dataEditor.formulaList = name;
+              setEntryLine(state.listFormulas[name]);
+              updateDisplay();
+            },
+          },
+          {
+            label: `Clear ${name} Frmla`,
+            select: () => {
+              state.listFormulas[name] = "";
+              updateDisplay();
+            },
+          },
+          {
+            label: "Clear ALL Frmla",
+            select: () => {
+              LIST_NAMES.forEach((listName) => {
+                state.listFormulas[listName] = "";
+              });
+              updateDisplay();
+            },
+          },
+        ],
+      },
+    ]);
+  }
+
+  // Clearing may leave the cursor past the end of the list
+  function clearData(names) {
+    names.forEach(clearList);
+
+    const editor = state.dataEditor;
+    editor.row = Math.min(editor.row, state.lists[getCurrentListName()].length);
+    editor.firstRow = Math.min(editor.firstRow, editor.row);
+    updateDisplay();
+  }
+
+  function clearList(name) {
+    state.lists[name] = [];
+    state.listFormulas[name] = "";
+    updateListFormulas();
+  }
+
+  function saveListFormula() {
+    const name = state.dataEditor.formulaList;
+    const formula = state.entryLine;
+
+    if (formula) {
+      try {
+        const references = getListReferences(parseExpression(formula));
+        if (references.length === 0) {
+          throw createCalculatorError("Formula must use a list", 0, "INVALID");
+        }
+        if (references.includes(name)) {
+          throw createCalculatorError(
+            `Formula cannot use ${name}`,
+            0,
+            "INVALID"
+          );
+        }
+      } catch (error) {
+        showErrorScreen(error, formula);
+        return;
+      }
+    }
+
+    state.listFormulas[name] = formula;
+    state.dataEditor.formulaList = null;
+    setEntryLine("");
+    updateListFormulas();
+    updateDisplay();
+  }
+
+  // List formulas
+  // A formula such as L1×L2 is evaluated like any list expression, with the
+  // lists it uses cut to the length of the shortest so a list still being
+  // filled in does not stop it. Formulas are recomputed whenever a list
+  // changes; a formula may use a list defined by another formula, so
+  // every formula is evaluated once per list to let chains settle.
+  function updateListFormulas() {
+    let failure = null;
+
+    for (let pass = 0; pass < LIST_NAMES.length; pass++) {
+      LIST_NAMES.forEach((name) => {
+        const formula = state.listFormulas[name];
+        if (!formula) return;
+
+        try {
+          state.lists[name] = evaluateListFormula(formula);
+        } catch (error) {
+          state.lists[name] = [];
+          failure = createCalculatorError(
+            `${name}: ${error.message}`,
+            undefined,
+            error.type
+          );
+        }
+      });
+    }
+
+    if (failure) {
+      showErrorScreen(failure);
+    }
+  }
+
+  function evaluateListFormula(formula) {
+    const ast = parseExpression(formula);
+    const references = getListReferences(ast);
+    const length = Math.min(
+      MAX_LIST_LENGTH,
+      ...references.map((name) => state.lists[name].length)
+    );
+
+    const saved = state.lists;
+    state.lists = { ...saved };
+    references.forEach((name) => {
+      state.lists[name] = saved[name].slice(0, length);
+    });
+    let value;
+    try {
+      value = evaluateExpression(ast);
+    } finally {
+      state.lists = saved;
+    }
+
+    if (!isList(value) || value.some(isComplex)) {
+      throw createCalculatorError(
+        "Formula must give a list of real numbers",
+        0,
+        "DATA TYPE"
+      );
+    }
+    return value.map(toNumber);
+  }
+
+  function getListReferences(ast) {
+    if (ast.type === "list") {
+      return [ast.name];
+    }
+
+    const children = [
+      ast.operand,
+      ast.left,
+      ast.right,
+      ast.whole,
+      ast.fraction,
+      ...(ast.args || []),
+      ...(ast.elements || []),
+    ].filter(Boolean);
+    return [...new Set(children.flatMap(getListReferences))];
+  }
+
+  function renderDataEditor() {
+    const editor = state.dataEditor;
+    const columns = LIST_NAMES.slice(
+      editor.firstColumn,
+      editor.firstColumn + DATA_EDITOR_COLUMNS
+    );
+
+    let html = '<table class="data-grid"><tr>';
+    columns.forEach((name) => {
+      const formula = state.listFormulas[name] ? ' class="has-formula"' : "";
+      html += `<th${formula}>${name}</th>`;
+    });
+    html += "</tr>";
+
+    for (let i = 0; i < SCREEN_ROWS; i++) {
+      const row = editor.firstRow + i;
+      html += "<tr>";
+      columns.forEach((name) => {
+        const value = state.lists[name][row];
+        const selected =
+          name === getCurrentListName() && row === editor.row
+            ? ' class="selected"'
+            : "";
+        const text = value === undefined ? "" : formatValue(value);
+        html += `<td${selected}>${escapeHtml(text)}</td>`;
+      });
+      html += "</tr>";
+    }
+    html += "</table>";
+
+    return html + `<div class="screen-edit-line">${renderDataEditLine()}</div>`;
+  }
+
+  // Shows what is being typed, or else the value under the cursor
+  function renderDataEditLine() {
+    const editor = state.dataEditor;
+
+    if (editor.formulaList) {
+      return `${editor.formulaList}=${renderEntryLine()}`;
+    }
+
+    const name = getCurrentListName();
+    const label = `${name}(${editor.row + 1})=`;
+    if (state.entryLine) {
+      return label + renderEntryLine();
+    }
+
+    const value = state.lists[name][editor.row];
+    return label + (value === undefined ? "" : escapeHtml(formatValue(value)));
+  }
+
+  // Statistics
+  // Results are kept in state.statResults as an ordered list of named
+  // values. Each name is also an entry line token, so a statistic pasted
+  // from the results screen evaluates to its value.
+  const STAT_VARIABLES = [
+    "n",
+    "x̄",
+    "Sx",
+    "σx",
+    "Σx",
+    "Σx²",
+    "ȳ",
+    "Sy",
+    "σy",
+    "Σy",
+    "Σy²",
+    "Σxy",
+    "minX",
+    "Q1",
+    "Med",
+    "Q3",
+    "maxX",
+    "minY",
+    "maxY",
+    "r²",
+    "r",
+  ];
+
+  function openStatisticsMenu() {
+    openMenu([
+      {
+        title: "STATS",
+        items: [
+          { label: "1-Var Stats", select: openOneVarStats },
+          { label: "2-Var Stats", select: openTwoVarStats },
+          { label: "StatVars", select: showStatVars },
+        ],
+      },
+      {
+        title: "REG",
+        items: REGRESSIONS.map((regression) => ({
+          label: regression.label,
+          select: () => openRegression(regression),
+        })),
+      },
+    ]);
+  }
+
+  // Rows that pick a data list, defaulting to the given one
+  function createListRow(label, defaultName) {
+    return {
+      label,
+      choices: LIST_NAMES,
+      choice: LIST_NAMES.indexOf(defaultName),
+    };
+  }
+
+  // The frequency row offers ONE before the lists
+  function createFrequencyRow() {
+    return { label: "FRQ:", choices: ["ONE", ...LIST_NAMES], choice: 0 };
+  }
+
+  function getRowList(row) {
+    return row.choices[row.choice] === "ONE" ? null : row.choices[row.choice];
+  }
+
+  function openOneVarStats() {
+    const data = createListRow("DATA:", "L1");
+    const frequency = createFrequencyRow();
+
+    openMenu([
+      {
+        title: "1-Var Stats",
+        items: [
+          data,
+          frequency,
+          {
+            label: "CALC",
+            select: () =>
+              runStatistics(() =>
+                calculateOneVarStats(getRowList(data), getRowList(frequency))
+              ),
+          },
+        ],
+      },
+    ]);
+  }
+
+  function openTwoVarStats() {
+    const xData = createListRow("xDATA:", "L1");
+    const yData = createListRow("yDATA:", "L2");
+    const frequency = createFrequencyRow();
+
+    openMenu([
+      {
+        title: "2-Var Stats",
+        items: [
+          xData,
+          yData,
+          frequency,
+          {
+            label: "CALC",
+            select: () =>
+              runStatistics(() =>
+                calculateTwoVarStats(
+                  getRowList(xData),
+                  getRowList(yData),
+                  getRowList(frequency)
+                )
+              ),
+          },
+        ],
+      },
+    ]);
+  }
+
+  function runStatistics(calculateStats) {
+    try {
+      state.statResults = calculateStats();
+    } catch (error) {
+      showErrorScreen(error);
+      return false;
+    }
+
+    updateIndicators();
+    showStatVars();
+    return true;
+  }
+
+  // Expands a data list by its frequency list into plain numbers
+  function getStatData(dataName, frequencyName) {
+    const data = state.lists[dataName].map(toNumber);
+    if (data.length === 0) {
+      throw createCalculatorError(`${dataName} is empty`, undefined, "STAT");
+    }
+    if (!frequencyName) {
+      return data;
+    }
+
+    const frequencies = state.lists[frequencyName].map(toNumber);
+    if (frequencies.length !== data.length) {
+      throw createCalculatorError(
+        "Dimension mismatch",
+        undefined,
+        "DIM MISMATCH"
+      );
+    }
+
+    const values = [];
+    frequencies.forEach((frequency, i) => {
+      if (!Number.isInteger(frequency) || frequency < 0) {
+        throw createCalculatorError(
+          "Frequencies must be whole numbers",
+          undefined,
+          "FREQUENCY"
+        );
+      }
+      for (let j = 0; j < frequency; j++) {
+        values.push(data[i]);
+      }
+    });
+
+    if (values.length === 0) {
+      throw createCalculatorError(
+        "Frequencies add up to 0",
+        undefined,
+        "FREQUENCY"
+      );
+    }
+    return values;
+  }
+
+  function calculateOneVarStats(dataName, frequencyName) {
+    const values = getStatData(dataName, frequencyName);
+    const sorted = [...values].sort((a, b) => a - b);
+    const summary = summarize(values);
+    const half = Math.floor(sorted.length / 2);
+
+    // Quartiles are the medians of the lower and upper halves, leaving out
+    // the middle value when n is odd
+    const lower = sorted.slice(0, half);
+    const upper = sorted.slice(sorted.length - half);
+
+    return {
+      title: `1-Var:${dataName},${frequencyName || "ONE"}`,
+      items: [
+        { name: "n", value: values.length },
+        { name: "x̄", value: summary.mean },
+        { name: "Sx", value: summary.sampleDeviation },
+        { name: "σx", value: summary.populationDeviation },
+        { name: "Σx", value: summary.sum },
+        { name: "Σx²", value: summary.sumOfSquares },
+        { name: "minX", value: sorted[0] },
+        { name: "Q1", value: lower.length ? median(lower) : null },
+        { name: "Med", value: median(sorted) },
+        { name: "Q3", value: upper.length ? median(upper) : null },
+        { name: "maxX", value: sorted[sorted.length - 1] },
+      ],
+    };
+  }
+
+  function calculateTwoVarStats(xName, yName, frequencyName) {
+    const xValues = getStatData(xName, frequencyName);
+    const yValues = getStatData(yName, frequencyName);
+    if (xValues.length !== yValues.length) {
+      throw createCalculatorError(
+        "Dimension mismatch",
+        undefined,
+        "DIM MISMATCH"
+      );
+    }
+
+    const x = summarize(xValues);
+    const y = summarize(yValues);
+    const sumOfProducts = xValues.reduce(
+      (sum, value, i) => sum + value * yValues[i],
+      0
+    );
+
+    return {
+      title: `2-Var:${xName},${yName},${frequencyName || "ONE"}`,
+      items: [
+        { name: "n", value: xValues.length },
+        { name: "x̄", value: x.mean },
+        { name: "Sx", value: x.sampleDeviation },
+        { name: "σx", value: x.populationDeviation },
+        { name: "ȳ", value: y.mean },
+        { name: "Sy", value: y.sampleDeviation },
+        { name: "σy", value: y.populationDeviation },
+        { name: "Σx", value: x.sum },
+        { name: "Σx²", value: x.sumOfSquares },
+        { name: "Σy", value: y.sum },
+        { name: "Σy²", value: y.sumOfSquares },
+        { name: "Σxy", value: sumOfProducts },
+        { name: "minX", value: Math.min(...xValues) },
+        { name: "maxX", value: Math.max(...xValues) },
+        { name: "minY", value: Math.min(...yValues) },
+        { name: "maxY", value: Math.max(...yValues) },
+      ],
+    };
+  }
+
+  // The sample deviation needs at least two values and is null otherwise
+  function summarize(values) {
+    const n = values.length;
+    const sum = values.reduce((total, value) => total + value, 0);
+    const sumOfSquares = values.reduce(
+      (total, value) => total + value * value,
+      0
+    );
+    const mean = sum / n;
+    const squaredDeviations = values.reduce(
+      (total, value) => total + (value - mean) * (value - mean),
+      0
+    );
+
+    return {
+      sum,
+      sumOfSquares,
+      mean,
+      sampleDeviation: n > 1 ? Math.sqrt(squaredDeviations / (n - 1)) : null,
+      populationDeviation: Math.sqrt(squaredDeviations / n),
+    };
+  }
+
+  function median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  function getStatVariable(name, position) {
+    const item =
+      state.statResults &&
+      state.statResults.items.find((stat) => stat.name === name);
+
+    if (!item) {
+      throw createCalculatorError(
+        `${name} has not been calculated`,
+        position,
+        "STAT"
+      );
+    }
+    if (item.value === null) {
+      throw createCalculatorError(`${name} is undefined`, position, "STAT");
+    }
+    return item.value;
+  }
+
+  // Regressions
+  // Each model fits the data by least squares. Exponential, power and
+  // logarithmic models are fitted as straight lines through transformed
+  // data, and their r is the correlation of the transformed data, as on the
+  // handheld. Polynomial models report r as the square root of R².
+  const REGRESSIONS = [
+    {
+      label: "LinReg ax+b",
+      fit: (x, y) => {
+        const line = fitLine(x, y);
+        return { coefficients: [line.slope, line.intercept], r: line.r };
+      },
+      equation: ([a, b]) => `${a}x+${b}`,
+    },
+    {
+      label: "QuadraticReg",
+      fit: (x, y) => fitPolynomial(x, y, 2),
+      equation: ([a, b, c]) => `${a}x²+${b}x+${c}`,
+    },
+    {
+      label: "CubicReg",
+      fit: (x, y) => fitPolynomial(x, y, 3),
+      equation: ([a, b, c, d]) => `${a}x³+${b}x²+${c}x+${d}`,
+    },
+    {
+      label: "ExpReg ab^x",
+      fit: (x, y) => {
+        const line = fitLine(
+          x,
+          y.map((value) => logOfPositive(value, "y"))
+        );
+        return {
+          coefficients: [Math.exp(line.intercept), Math.exp(line.slope)],
+          r: line.r,
+        };
+      },
+      equation: ([a, b]) => `${a}×${b}^(x)`,
+    },
+    {
+      label: "PwrReg ax^b",
+      fit: (x, y) => {
+        const line = fitLine(
+          x.map((value) => logOfPositive(value, "x")),
+          y.map((value) => logOfPositive(value, "y"))
+        );
+        return {
+          coefficients: [Math.exp(line.intercept), line.slope],
+          r: line.r,
+        };
+      },
+      equation: ([a, b]) => `${a}×x^(${b})`,
+    },
+    {
+      label: "LogReg a+blog(x)",
+      fit: (x, y) => {
+        const line = fitLine(
+          x.map((value) => logOfPositive(value, "x") / Math.LN10),
+          y
+        );
+        return { coefficients: [line.intercept, line.slope], r: line.r };
+      },
+      equation: ([a, b]) => `${a}+${b}log(x)`,
+    },
+    {
+      label: "LnReg a+bln(x)",
+      fit: (x, y) => {
+        const line = fitLine(
+          x.map((value) => logOfPositive(value, "x")),
+          y
+        );
+        return { coefficients: [line.intercept, line.slope], r: line.r };
+      },
+      equation: ([a, b]) => `${a}+${b}ln(x)`,
+    },
+  ];
+
+  const COEFFICIENT_NAMES = ["a", "b", "c", "d"];
+
+  function openRegression(regression) {
+    const xData = createListRow("xDATA:", "L1");
+    const yData = createListRow("yDATA:", "L2");
+    const frequency = createFrequencyRow();
+    const storeEquation = {
+      label: "RegEQ→f(x):",
+      choices: ["NO", "YES"],
+      choice: 0,
+    };
+
+    openMenu([
+      {
+        title: regression.label,
+        items: [
+          xData,
+          yData,
+          frequency,
+          storeEquation,
+          {
+            label: "CALC",
+            select: () =>
+              runRegression(
+                regression,
+                getRowList(xData),
+                getRowList(yData),
+                getRowList(frequency),
+                storeEquation.choice === 1
+              ),
+          },
+        ],
+      },
+    ]);
+  }
+
+  function runRegression(regression, xData, yData, frequency, storeEquation) {
+    const calculated = runStatistics(() =>
+      calculateRegression(regression, xData, yData, frequency)
+    );
+
+    if (calculated && storeEquation) {
+      state.tableFunction = state.statResults.equation;
+      showMessage("RegEQ stored in f(x)");
+    }
+  }
+
+  function calculateRegression(regression, xName, yName, frequencyName) {
+    const xValues = getStatData(xName, frequencyName);
+    const yValues = getStatData(yName, frequencyName);
+    if (xValues.length !== yValues.length) {
+      throw createCalculatorError(
+        "Dimension mismatch",
+        undefined,
+        "DIM MISMATCH"
+      );
+    }
+
+    const { coefficients, r } = regression.fit(xValues, yValues);
+    if (!coefficients.every(isFinite)) {
+      throw createCalculatorError(
+        "Regression could not be calculated",
+        undefined,
+        "STAT"
+      );
+    }
+
+    return {
+      title: `${regression.label}:${xName},${yName},${frequencyName || "ONE"}`,
+      equation: regression.equation(coefficients.map(formatEntryNumber)),
+      items: [
+        { name: "n", value: xValues.length },
+        ...coefficients.map((value, i) => ({
+          name: COEFFICIENT_NAMES[i],
+          value,
+        })),
+        { name: "r²", value: r === null ? null : r * r },
+        { name: "r", value: r },
+      ],
+    };
+  }
+
+  // r is null when every y value is the same
+  function fitLine(xValues, yValues) {
+    if (xValues.length < 2) {
+      throw createCalculatorError("Not enough data", undefined, "STAT");
+    }
+
+    const x = summarize(xValues);
+    const y = summarize(yValues);
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    xValues.forEach((value, i) => {
+      sxx += (value - x.mean) * (value - x.mean);
+      syy += (yValues[i] - y.mean) * (yValues[i] - y.mean);
+      sxy += (value - x.mean) * (yValues[i] - y.mean);
+    });
+
+    if (sxx === 0) {
+      throw createCalculatorError(
+        "x values are all the same",
+        undefined,
+        "STAT"
+      );
+    }
+
+    const slope = sxy / sxx;
+    return {
+      slope,
+      intercept: y.mean - slope * x.mean,
+      r: syy === 0 ? null : sxy / Math.sqrt(sxx * syy),
+    };
+  }
+
+  // Solves the normal equations, returning coefficients highest power first
+  function fitPolynomial(xValues, yValues, degree) {
+    if (xValues.length <= degree) {
+      throw createCalculatorError("Not enough data", undefined, "STAT");
+    }
+
+    const size = degree + 1;
+    const matrix = [];
+    for (let row = 0; row < size; row++) {
+      matrix.push(new Array(size + 1).fill(0));
+    }
+    xValues.forEach((x, i) => {
+      for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+          matrix[row][column] += Math.pow(x, row + column);
+        }
+        matrix[row][size] += Math.pow(x, row) * yValues[i];
+      }
+    });
+
+    const coefficients = solveLinearSystem(matrix).reverse();
+
+    const mean = summarize(yValues).mean;
+    let residual = 0;
+    let total = 0;
+    xValues.forEach((x, i) => {
+      const predicted = coefficients.reduce(
+        (sum, coefficient) => sum * x + coefficient,
+        0
+      );
+      residual += (yValues[i] - predicted) * (yValues[i] - predicted);
+      total += (yValues[i] - mean) * (yValues[i] - mean);
+    });
+
+    const rSquared = total === 0 ? null : Math.max(0, 1 - residual / total);
+    return {
+      coefficients,
+      r: rSquared === null ? null : Math.sqrt(rSquared),
+    };
+  }
+
+  // Gaussian elimination with partial pivoting on an augmented matrix
+  function solveLinearSystem(matrix) {
+    const size = matrix.length;
+
+    for (let column = 0; column < size; column++) {
+      let pivot = column;
+      for (let row = column + 1; row < size; row++) {
+        if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+          pivot = row;
+        }
+      }
+      if (Math.abs(matrix[pivot][column]) < 1e-12) {
+        throw createCalculatorError(
+          "Not enough distinct x values",
+          undefined,
+          "STAT"
+        );
+      }
+      [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+      for (let row = column + 1; row < size; row++) {
+        const factor = matrix[row][column] / matrix[column][column];
+        for (let k = column; k <= size; k++) {
+          matrix[row][k] -= factor * matrix[column][k];
+        }
+      }
+    }
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+      let sum = matrix[row][size];
+      for (let k = row + 1; k < size; k++) {
+        sum -= matrix[row][k] * solution[k];
+      }
+      solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+  }
+
+  function logOfPositive(value, name) {
+    if (value <= 0) {
+      throw createCalculatorError(
+        `${name} values must be positive`,
+        undefined,
+        "DOMAIN"
+      );
+    }
+    return Math.log(value);
+  }
+
+  // Results screen
+  function showStatVars() {
+    if (!state.statResults) {
+      showError("No statistics calculated");
+      return;
+    }
+
+    state.statView = { row: 0, firstRow: 0 };
+    openScreen("stats");
+  }
+
+  function handleStatsScreenKey(key) {
+    const view = state.statView;
+    const count = state.statResults.items.length;
+
+    switch (key) {
+      case "up":
+      case "down":
+        view.row = Math.max(
+          0,
+          Math.min(count - 1, view.row + (key === "up" ? -1 : 1))
+        );
+        scrollToRow(view);
+        updateDisplay();
+        return true;
+      case "enter": {
+        // Paste the highlighted statistic at the home screen's cursor;
+        // regression coefficients are pasted as their values
+        const item = state.statResults.items[view.row];
+        closeScreen();
+        insertText(
+          STAT_VARIABLES.includes(item.name)
+            ? item.name
+            : formatEntryNumber(item.value)
+        );
+        return true;
+      }
+      case "clear":
+      case "quit":
+        closeScreen();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  function renderStatsScreen() {
+    const { title, items } = state.statResults;
+    const view = state.statView;
+
+    let html = `<div class="screen-title">${escapeHtml(title)}</div>`;
+    items
+      .slice(view.firstRow, view.firstRow + SCREEN_ROWS)
+      .forEach((item, i) => {
+        const row = view.firstRow + i;
+        const selected = row === view.row ? " selected" : "";
+        const value = item.value === null ? "" : formatValue(item.value);
+        html +=
+          `<div class="screen-row${selected}">` +
+          escapeHtml(`${row + 1}:${item.name}=${value}`) +
+          "</div>";
+      });
+    return html;
+  }
+
+  // Function table
+  // f(x) is typed on the entry line, then the table is set up with a start
+  // value, a step and Auto or Ask-x mode. Auto generates x values forever in
+  // both directions; Ask-x tabulates the x values typed into the x column.
+  // Cells are evaluated as they are drawn, so an error only affects its own
+  // cell.
+  function openTableFunction() {
+    state.tableView = {
+      phase: "function",
+      row: 0,
+      firstRow: 0,
+      column: 0,
+      xValues: [],
+    };
+    openScreen("table");
+    setEntryLine(state.tableFunction);
+    updateDisplay();
+  }
+
+  function handleTableKey(key) {
+    const view = state.tableView;
+
+    if (key === "quit") {
+      closeScreen();
+      return true;
+    }
+
+    if (view.phase === "function") {
+      switch (key) {
+        case "enter":
+          defineTableFunction();
+          return true;
+        case "clear":
+          setEntryLine("");
+          updateDisplay();
+          return true;
+        case "delete":
+          deleteCharacter();
+          return true;
+        case "up":
+        case "down":
+          moveToVerticalSlot(key === "up" ? -1 : 1);
+          return true;
+        default:
+          // Left and right move the cursor within f(x)
+          return false;
+      }
+    }
+
+    switch (key) {
+      case "up":
+      case "down":
+        moveTableCursor(key === "up" ? -1 : 1);
+        return true;
+      case "left":
+      case "right":
+        if (!state.entryLine) {
+          view.column = key === "left" ? 0 : 1;
+          updateDisplay();
+        }
+        return true;
+      case "enter":
+        if (state.entryLine) {
+          commitTableX();
+        }
+        return true;
+      case "delete":
+        if (state.entryLine) {
+          deleteCharacter();
+        } else if (state.tableSettings.mode === "ASK") {
+          view.xValues.splice(view.row, 1);
+          updateDisplay();
+        }
+        return true;
+      case "clear":
+        setEntryLine("");
+        updateDisplay();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  function defineTableFunction() {
+    const formula = state.entryLine;
+
+    try {
+      parseExpression(formula);
+    } catch (error) {
+      showErrorScreen(error, formula);
+      return;
+    }
+
+    openTableSetup(formula);
+  }
+
+  // TABLE SETUP takes the start value, the step and Auto or Ask-x mode.
+  // Leaving it with CLEAR keeps f(x) on the entry line for more editing.
+  function openTableSetup(formula) {
+    const current = state.tableSettings;
+    const start = { label: "Start=", input: formatEntryNumber(current.start) };
+    const step = { label: "Step=", input: formatEntryNumber(current.step) };
+    const mode = {
+      label: "Indpnt:",
+      choices: ["Auto", "Ask-x"],
+      choice: current.mode === "AUTO" ? 0 : 1,
+    };
+
+    openMenu([
+      {
+        title: "TABLE SETUP",
+        items: [
+          start,
+          step,
+          mode,
+          {
+            label: "OK",
+            select: () => {
+              let settings;
+              try {
+                settings = {
+                  start: evaluateTableSetting(start.input, "Start"),
+                  step: evaluateTableSetting(step.input, "Step"),
+                  mode: mode.choice === 0 ? "AUTO" : "ASK",
+                };
+                if (toNumber(settings.step) === 0) {
+                  throw createDomainError("Step cannot be 0");
+                }
+              } catch (error) {
+                showErrorScreen(error);
+                return;
+              }
+
+              state.tableFunction = formula;
+              state.tableSettings = settings;
+              state.tableView.phase = "table";
+              setEntryLine("");
+              updateDisplay();
+            },
+          },
+        ],
+      },
+    ]);
+  }
+
+  function evaluateMenuInput(text) {
+    return evaluateExpression(parseExpression(text));
+  }
+
+  // Start and Step are single real numbers
+  function evaluateTableSetting(text, name) {
+    const value = evaluateMenuInput(text);
+    if (isList(value) || isComplex(value)) {
+      throw createCalculatorError(
+        `${name} must be a real number`,
+        undefined,
+        "DATA TYPE"
+      );
+    }
+    return value;
+  }
+
+  // Auto rows go on past either end; Ask-x rows end with an empty row for
+  // the next x value
+  function moveTableCursor(step) {
+    const view = state.tableView;
+    if (state.entryLine && !commitTableX()) return;
+
+    view.row += step;
+    if (state.tableSettings.mode === "ASK") {
+      view.row = Math.max(0, Math.min(view.xValues.length, view.row));
+    }
+    scrollToRow(view);
+    updateDisplay();
+  }
+
+  // In Ask-x mode, a value typed in the x column becomes that row's x
+  function commitTableX() {
+    const view = state.tableView;
+
+    if (state.tableSettings.mode !== "ASK" || view.column !== 0) {
+      setEntryLine("");
+      updateDisplay();
+      return true;
+    }
+
+    let value;
+    try {
+      value = evaluateExpression(parseExpression(state.entryLine));
+    } catch (error) {
+      showErrorScreen(error, state.entryLine);
+      return false;
+    }
+
+    view.xValues[view.row] = value;
+    setEntryLine("");
+    moveTableCursor(1);
+    return true;
+  }
+
+  function getTableX(row) {
+    if (state.tableSettings.mode === "ASK") {
+      return state.tableView.xValues[row];
+    }
+
+    const { start, step } = state.tableSettings;
+    return addValues(start, multiplyValues(row, step));
+  }
+
+  // Returns the formatted f(x) for one cell, or "Error" when it fails
+  function formatTableCell(x) {
+    try {
+      const value = evaluateWithVariable(
+        parseExpression(state.tableFunction),
+        "x",
+        x
+      );
+      return isFiniteValue(value) ? formatValue(value) : "Error";
+    } catch (error) {
+      return "Error";
+    }
+  }
+
+  function renderTableScreen() {
+    const view = state.tableView;
+
+    if (view.phase === "function") {
+      return `<div class="screen-edit-line">f(x)=${renderEntryLine()}</div>`;
+    }
+
+    let html = '<table class="data-grid"><tr><th>x</th><th>f(x)</th></tr>';
+    for (let i = 0; i < SCREEN_ROWS; i++) {
+      const row = view.firstRow + i;
+      const x = getTableX(row);
+      const cells = [
+        x === undefined ? "" : formatValue(x),
+        x === undefined ? "" : formatTableCell(x),
+      ];
+
+      html += "<tr>";
+      cells.forEach((text, column) => {
+        const selected =
+          row === view.row && column === view.column ? ' class="selected"' : "";
+        html += `<td${selected}>${escapeHtml(text)}</td>`;
+      });
+      html += "</tr>";
+    }
+    html += "</table>";
+
+    return (
+      html + `<div class="screen-edit-line">${renderTableEditLine()}</div>`
+    );
+  }
+
+  // Shows what is being typed, or else the selected cell in full
+  function renderTableEditLine() {
+    const view = state.tableView;
+    const label = view.column === 0 ? "x=" : "f(x)=";
+
+    if (state.entryLine) {
+      return label + renderEntryLine();
+    }
+
+    const x = getTableX(view.row);
+    if (x === undefined) {
+      return label;
+    }
+    const text = view.column === 0 ? formatValue(x) : formatTableCell(x);
+    return label + escapeHtml(text);
+  }
+
+  // Equation solver
+  // The equation is typed on the solver's edit line, either as left=right
+  // or as an expression equal to zero. It is solved for its first variable
+  // in the order x, y, z, t, a, b, c; other variables keep their stored
+  // values. Newton's method is tried from the guess first. When it fails,
+  // or when a bracket is given, the root is found by bisection, speeding up
+  // with Newton steps that stay inside the bracket.
+  const SOLVER_TOLERANCE = 1e-12;
+  const SOLVER_ITERATIONS = 200;
+
+  function openSolver() {
+    const equation = state.entryLine || state.solverEquation;
+    state.solverView = { phase: "equation", result: null };
+    openScreen("solver");
+    setEntryLine(equation);
+    updateDisplay();
+  }
+
+  function handleSolverKey(key) {
+    const view = state.solverView;
+
+    switch (key) {
+      case "quit":
+        closeScreen();
+        return true;
+      case "clear":
+        if (view.phase === "result") {
+          closeScreen();
+        } else {
+          setEntryLine("");
+          updateDisplay();
+        }
+        return true;
+      case "enter":
+        if (view.phase === "result") {
+          // Solve again, starting from the equation
+          view.phase = "equation";
+          setEntryLine(state.solverEquation);
+          updateDisplay();
+        } else {
+          runSolver();
+        }
+        return true;
+      case "equals":
+        if (view.phase === "equation") {
+          insertToken("=");
+        }
+        return true;
+      case "up":
+      case "down":
+        if (view.phase === "equation") {
+          moveToVerticalSlot(key === "up" ? -1 : 1);
+        }
+        return true;
+      default:
+        // Other keys edit the equation
+        return view.phase === "result";
+    }
+  }
+
+  function runSolver() {
+    const equation = state.entryLine;
+
+    let sides;
+    let name;
+    try {
+      sides = parseEquation(equation);
+      name = VARIABLES.find(
+        (variable) =>
+          usesVariable(sides.left, variable) ||
+          usesVariable(sides.right, variable)
+      );
+      if (!name) {
+        throw createCalculatorError(
+          "Equation has no variable",
+          undefined,
+          "INVALID"
+        );
+      }
+    } catch (error) {
+      showErrorScreen(error, equation);
+      return;
+    }
+
+    // The start is a guess, or low,high to bracket the root
+    const start = {
+      label: `${name}=`,
+      input: formatEntryNumber(state.memory[name]),
+    };
+    openMenu([
+      {
+        title: `Solve for ${name}`,
+        items: [
+          start,
+          {
+            label: "SOLVE",
+            select: () => solveEquation(equation, sides, name, start.input),
+          },
+        ],
+      },
+    ]);
+  }
+
+  function solveEquation(equation, sides, name, start) {
+    // Both sides as numbers, or NaN where they are undefined
+    const evaluateSides = (value) => {
+      try {
+        return [sides.left, sides.right].map((side) =>
+          toNumber(evaluateWithVariable(side, name, value))
+        );
+      } catch (error) {
+        return [NaN, NaN];
+      }
+    };
+    const difference = (value) => {
+      const [left, right] = evaluateSides(value);
+      return left - right;
+    };
+    // The size of the sides, which sets how close to zero is a root
+    const scale = (value) => Math.max(1, ...evaluateSides(value).map(Math.abs));
+
+    let solution;
+    try {
+      const bounds = start.split(",").map(evaluateMenuInput).map(toNumber);
+      solution = roundToPrecision(
+        bounds.length === 2
+          ? solveInBracket(difference, scale, bounds[0], bounds[1])
+          : solveFromGuess(difference, scale, bounds[0])
+      );
+    } catch (error) {
+      showErrorScreen(error);
+      return;
+    }
+
+    state.memory[name] = solution;
+    state.solverEquation = equation;
+    state.solverView = {
+      phase: "result",
+      result: { equation, name, solution, residual: difference(solution) },
+    };
+    setEntryLine("");
+    updateDisplay();
+  }
+
+  function solveFromGuess(f, scale, guess) {
+    const root = newtonMethod(f, scale, guess);
+    if (root !== null) {
+      return root;
+    }
+
+    const bracket = findBracket(f, scale, guess);
+    if (bracket) {
+      return solveInBracket(f, scale, bracket[0], bracket[1]);
+    }
+
+    const touching = findTouchingRoot(f, scale, guess);
+    if (touching === null) {
+      throw createCalculatorError(
+        "No solution found",
+        undefined,
+        "NO SIGN CHANGE"
+      );
+    }
+    return touching;
+  }
+
+  // A root where f touches zero without crossing it, as in abs(x)=0 or
+  // (x−2)²=0, has no sign change to bracket. The smallest |f| among the
+  // points findBracket tries is narrowed down to a minimum, then polished
+  // with Newton's method; the minimum is a root only if f is zero there.
+  function findTouchingRoot(f, scale, guess) {
+    const size = (x) => {
+      const fx = Math.abs(f(x));
+      return isFinite(fx) ? fx : Infinity;
+    };
+
+    const points = [guess];
+    let distance = 0.1 * Math.max(1, Math.abs(guess));
+    for (let i = 0; i < 60; i++) {
+      points.push(guess - distance, guess + distance);
+      distance *= 2;
+    }
+    points.sort((a, b) => a - b);
+
+    const sizes = points.map(size);
+    const best = sizes.indexOf(Math.min(...sizes));
+    if (sizes[best] === Infinity) return null;
+
+    const minimum = findMinimum(
+      size,
+      points[Math.max(0, best - 1)],
+      points[Math.min(points.length - 1, best + 1)]
+    );
+    // A minimum within the tolerance of 0 is taken to be 0, as abs(x) has
+    const candidates = [
+      Math.abs(minimum) < SOLVER_TOLERANCE ? 0 : null,
+      newtonMethod(f, scale, minimum),
+      roundToPrecision(minimum),
+      minimum,
+    ];
+    const root = candidates.find((x) => x !== null && isRoot(f, scale, x));
+    return root === undefined ? null : root;
+  }
+
+  // Golden-section search for the smallest value of g between low and high
+  function findMinimum(g, low, high) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = high - ratio * (high - low);
+    let b = low + ratio * (high - low);
+    let ga = g(a);
+    let gb = g(b);
+
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+      if (high - low <= SOLVER_TOLERANCE * Math.max(1, Math.abs(low))) break;
+      if (ga <= gb) {
+        high = b;
+        b = a;
+        gb = ga;
+        a = high - ratio * (high - low);
+        ga = g(a);
+      } else {
+        low = a;
+        a = b;
+        ga = gb;
+        b = low + ratio * (high - low);
+        gb = g(b);
+      }
+    }
+
+    return ga <= gb ? a : b;
+  }
+
+  // Returns null when Newton's method does not settle on a root
+  function newtonMethod(f, scale, guess) {
+    let x = guess;
+
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+      const fx = f(x);
+      if (!isFinite(fx)) return null;
+      if (fx === 0) return isRoot(f, scale, x) ? x : null;
+
+      const slope = estimateSlope(f, x);
+      if (!isFinite(slope) || slope === 0) return null;
+
+      const next = x - fx / slope;
+      if (!isFinite(next)) return null;
+      if (Math.abs(next - x) <= SOLVER_TOLERANCE * Math.max(1, Math.abs(x))) {
+        return isRoot(f, scale, next) ? next : null;
+      }
+      x = next;
+    }
+
+    return null;
+  }
+
+  function estimateSlope(f, x) {
+    const h = 1e-6 * Math.max(1, Math.abs(x));
+    return (f(x + h) - f(x - h)) / (2 * h);
+  }
+
+  // A root either has a sign change right next to it, or makes f small
+  // next to the size of the sides. Where f is zero all around, as when e^(x)
+  // underflows far below zero, there is no root, only a flat stretch.
+  function isRoot(f, scale, x) {
+    const h = 1e-9 * Math.max(1, Math.abs(x));
+    if (f(x - h) * f(x + h) < 0) return true;
+    if (!(Math.abs(f(x)) <= SOLVER_TOLERANCE * scale(x))) return false;
+
+    const d = 1e-3 * Math.max(1, Math.abs(x));
+    return f(x - d) !== 0 || f(x + d) !== 0;
+  }
+
+  // Search outwards from the guess for a sign change
+  function findBracket(f, scale, guess) {
+    const fGuess = f(guess);
+    let distance = 0.1 * Math.max(1, Math.abs(guess));
+
+    for (let i = 0; i < 60; i++) {
+      for (const x of [guess - distance, guess + distance]) {
+        const fx = f(x);
+        if (!isFinite(fGuess) || !isFinite(fx)) continue;
+        if (fGuess * fx < 0 || (fx === 0 && isRoot(f, scale, x))) {
+          return x < guess ? [x, guess] : [guess, x];
+        }
+      }
+      distance *= 2;
+    }
+
+    return null;
+  }
+
+  function solveInBracket(f, scale, low, high) {
+    if (low > high) {
+      [low, high] = [high, low];
+    }
+
+    let fLow = f(low);
+    const fHigh = f(high);
+    if (fLow === 0 && isRoot(f, scale, low)) return low;
+    if (fHigh === 0 && isRoot(f, scale, high)) return high;
+    if (!isFinite(fLow) || !isFinite(fHigh) || fLow * fHigh >= 0) {
+      throw createCalculatorError(
+        "No sign change between the bounds",
+        undefined,
+        "NO SIGN CHANGE"
+      );
+    }
+
+    // A sign change across a discontinuity such as the pole of 1/x makes f
+    // grow as the bracket shrinks instead of heading to zero
+    const limit = Math.min(Math.abs(fLow), Math.abs(fHigh));
+
+    let x = (low + high) / 2;
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+      const fx = f(x);
+      if (fx === 0 && isRoot(f, scale, x)) return x;
+      if (!isFinite(fx)) {
+        throw createCalculatorError(
+          "Solver did not converge",
+          undefined,
+          "ITERATIONS"
+        );
+      }
+
+      if (fLow * fx < 0) {
+        high = x;
+      } else {
+        low = x;
+        fLow = fx;
+      }
+      if (high - low <= SOLVER_TOLERANCE * Math.max(1, Math.abs(x))) {
+        if (Math.abs(fx) > limit) {
+          throw createCalculatorError(
+            "Solver did not converge",
+            undefined,
+            "ITERATIONS"
+          );
+        }
+        return x;
+      }
+
+      // Take the Newton step when it stays inside the bracket
+      const next = x - fx / estimateSlope(f, x);
+      x = next > low && next < high ? next : (low + high) / 2;
+    }
+
+    throw createCalculatorError(
+      "Solver did not converge",
+      undefined,
+      "ITERATIONS"
+    );
+  }
+
+  function renderSolverScreen() {
+    const view = state.solverView;
+
+    if (view.phase === "equation") {
+      return `<div class="screen-edit-line">Solve:${renderEntryLine()}</div>`;
+    }
+
+    const { equation, name, solution, residual } = view.result;
+    return (
+      `<div class="screen-row">${renderDisplayText(equation)}</div>` +
+      `<div class="screen-row selected">${name}=${escapeHtml(
+        formatValue(solution)
+      )}</div>` +
+      `<div class="screen-row">L−R=${escapeHtml(formatValue(residual))}</div>`
+    );
+  }
+
+  // Calculation functions
+  function calculate() {
+    if (!state.isOn) return;
+
+    const entry = state.constant
+      ? applyConstant(state.entryLine)
+      : state.entryLine;
+    if (entry) {
+      evaluateEntry(entry);
+    }
+  }
+
+  // Returns whether the entry produced a result
+  function evaluateEntry(entry) {
+    let succeeded = false;
+    try {
+      const expression = parseExpression(entry);
+      const result = evaluateExpression(expression);
+
+      if (isFiniteValue(result)) {
+        const text =
+          expression.type === "conversion"
+            ? CONVERSIONS[expression.name](result, expression.position)
+            : formatValue(result);
+        state.lastAnswer = result;
+        state.resultLine = text;
+
+        // Add to history
+        addToHistory(entry, state.resultLine, result);
+
+        setEntryLine("");
+        state.historyIndex = -1;
+        state.historyLine = -1;
+        succeeded = true;
+      } else {
+        showError("Invalid calculation");
+      }
+    } catch (error) {
+      showErrorScreen(error, entry);
+    }
+
+    updateDisplay();
+    return succeeded;
+  }
+
+  // Constant (K) mode
+  // 2nd + K takes the last operation of the entry line, such as ×1.07 in
+  // 100×1.07, and every later ENTER applies it to the entry or to Ans.
+  // Pressing 2nd + K again turns the constant off.
+  function toggleConstantMode() {
+    if (state.constant) {
+      state.constant = null;
+      showMessage("K off");
+      return;
+    }
+
+    let constant = null;
+    try {
+      if (state.entryLine) {
+        constant = getTrailingOperation(state.entryLine);
+      }
+    } catch (error) {
+      showErrorScreen(error, state.entryLine);
+      return;
+    }
+    if (!constant) {
+      showError("Enter an operation such as 100×1.07, then press K");
+      return;
+    }
+
+    state.constant = constant;
+    showMessage(`K: ${constant.operator}${constant.operand}`);
+    evaluateEntry(state.entryLine);
+  }
+
+  // The operator at the root of the parsed entry and the text after it.
+  // An entry that is one group, such as (1+2), has no trailing operation;
+  // groups left open in the operand, as in 2×(1+3, are closed.
+  function getTrailingOperation(entry) {
+    const ast = parseExpression(entry);
+    if (ast.type !== "binary") return null;
+
+    const tokens = tokenize(entry);
+    if (getOpenGroups(tokens, ast.position).length > 0) return null;
+
+    const token = tokens.find(
+      (candidate) => candidate.position === ast.position
+    );
+    const start = ast.implied ? ast.position : ast.position + token.text.length;
+    const closing = getOpenGroups(tokens, entry.length).reverse().join("");
+    return { operator: ast.operator, operand: entry.slice(start) + closing };
+  }
+
+  // The closing marks of the groups still open before a position
+  function getOpenGroups(tokens, position) {
+    const closers = [];
+    tokens
+      .filter((token) => token.position < position)
+      .forEach((token) => {
+        if (["function", "lparen"].includes(token.type)) {
+          closers.push(")");
+        } else if (token.type === "lbracket") {
+          closers.push("]");
+        } else if (["rparen", "rbracket"].includes(token.type)) {
+          closers.pop();
+        }
+      });
+    return closers;
+  }
+
+  // An empty entry continues from Ans; anything but a single number is
+  // grouped so the constant applies to its whole value
+  function applyConstant(entry) {
+    const base = !entry
+      ? "Ans"
+      : /^(\d*\.?\d*|Ans)$/.test(entry)
+      ? entry
+      : `(${entry})`;
+    return base + state.constant.operator + state.constant.operand;
+  }
+
+  // Expression engine
+  // The entry line is tokenized, parsed into an AST by precedence climbing
+  // and then interpreted. Every node remembers where it started in the entry
+  // line so errors can point back at the offending token.
+
+  // Order of operations follows the TI-30XS MultiView, highest first:
+  //   1. Expressions inside parentheses
+  //   2. Functions that precede their argument, such as sin( and √(
+  //   3. Fractions (n⁄d and U∪n⁄d)
+  //   4. Functions entered after their argument, such as x², x⁻¹ and !
+  //   5. Exponentiation (^) and roots (ˣ√), evaluated right to left
+  //   6. Negation (⁻)
+  //   7. Permutations (nPr) and combinations (nCr)
+  //   8. Multiplication, implied multiplication and division
+  //   9. Addition and subtraction
+  //  10. Relations (=, ≠, >, ≥, <, ≤)
+  //  11. and
+  //  12. or and xor
+  // Levels 1 to 4 are handled by the parser's call structure; the rest are
+  // the precedences below.
+  const BINARY_OPERATORS = {
+    or: { precedence: 2, associativity: "left" },
+    xor: { precedence: 2, associativity: "left" },
+    and: { precedence: 4, associativity: "left" },
+    "=": { precedence: 6, associativity: "left" },
+    "≠": { precedence: 6, associativity: "left" },
+    ">": { precedence: 6, associativity: "left" },
+    "≥": { precedence: 6, associativity: "left" },
+    "<": { precedence: 6, associativity: "left" },
+    "≤": { precedence: 6, associativity: "left" },
+    "+": { precedence: 10, associativity: "left" },
+    "−": { precedence: 10, associativity: "left" },
+    "×": { precedence: 20, associativity: "left" },
+    "÷": { precedence: 20, associativity: "left" },
+    nPr: { precedence: 25, associativity: "left" },
+    nCr: { precedence: 25, associativity: "left" },
+    "^": { precedence: 40, associativity: "right" },
+    "ˣ√": { precedence: 40, associativity: "right" },
+  };
+
+  // Fraction template symbols: n⁄d and the mixed-number separator of U∪n⁄d
+  const FRACTION_BAR = "⁄";
+  const MIXED_SEPARATOR = "∪";
+
+  // The ×10ⁿ key enters ᴇ, so 6.02ᴇ23 is 6.02×10²³. The exponent is a
+  // whole number that may be negated, and without a mantissa ᴇ3 is 1000.
+  const EXPONENT_MARK = "ᴇ";
+  const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)?(?:ᴇ(⁻?)(\d+))?/;
+
+  // Negation binds looser than ^ so ⁻3^2 is −9, but tighter than × so
+  // 2×⁻3 needs no parentheses
+  const NEGATION_PRECEDENCE = 30;
+
+  // Tokens that can begin an operand; one directly after another operand
+  // means implied multiplication, as in 2π, 3(4+1) or 2x
+  const OPERAND_START_TYPES = [
+    "number",
+    "constant",
+    "variable",
+    "list",
+    "answer",
+    "statVariable",
+    "random",
+    "function",
+    "lparen",
+    "lbracket",
+    "negation",
+  ];
+
+  // Tokens that can end an operand
+  const OPERAND_END_TYPES = [
+    "number",
+    "constant",
+    "variable",
+    "list",
+    "answer",
+    "statVariable",
+    "random",
+    "rparen",
+    "rbracket",
+    "postfix",
+  ];
+
+  // An angle marked °, ', ", ʳ or ᵍ is in that unit whatever the angle
+  // mode, so 30° is π/6 in RAD mode. Degrees, minutes and seconds combine,
+  // as in 30°15'20".
+  const ANGLE_MARKERS = ["°", "'", '"', "ʳ", "ᵍ"];
+  const DMS_MARKERS = ["°", "'", '"'];
+
+  const POSTFIX_OPERATORS = ["!", "²", "³", "⁻¹", ...ANGLE_MARKERS];
+
+  const RELATIONS = ["=", "≠", ">", "≥", "<", "≤"];
+
+  // Logic operators are entered with a space either side, as in x>2 and x<5
+  const LOGIC_OPERATORS = ["and", "or", "xor"];
+
+  // Functions callable from the entry line, keyed by name. The entry line
+  // token is the name followed by an opening parenthesis.
+  const FUNCTIONS = {
+    sin: { args: 1, evaluate: sine },
+    cos: { args: 1, evaluate: cosine },
+    tan: { args: 1, evaluate: (x) => sine(x) / cosine(x) },
+    "sin⁻¹": { args: 1, evaluate: (x) => convertRadiansToAngle(Math.asin(x)) },
+    "cos⁻¹": { args: 1, evaluate: (x) => convertRadiansToAngle(Math.acos(x)) },
+    "tan⁻¹": { args: 1, evaluate: (x) => convertRadiansToAngle(Math.atan(x)) },
+    // Rectangular to polar and back, with θ in the current angle unit
+    "R►Pr": { args: 2, evaluate: (x, y) => Math.hypot(x, y) },
+    "R►Pθ": {
+      args: 2,
+      evaluate: (x, y) => convertRadiansToAngle(Math.atan2(y, x)),
+    },
+    "P►Rx": { args: 2, evaluate: (r, theta) => r * cosine(theta) },
+    "P►Ry": { args: 2, evaluate: (r, theta) => r * sine(theta) },
+    // Hyperbolic functions ignore the angle mode. sinh and cosh of large
+    // numbers overflow rather than fall outside the domain.
+    sinh: { args: 1, overflows: true, evaluate: (x) => Math.sinh(x) },
+    cosh: { args: 1, overflows: true, evaluate: (x) => Math.cosh(x) },
+    tanh: { args: 1, evaluate: (x) => Math.tanh(x) },
+    "sinh⁻¹": { args: 1, evaluate: (x) => Math.asinh(x) },
+    "cosh⁻¹": { args: 1, evaluate: (x) => Math.acosh(x) },
+    "tanh⁻¹": { args: 1, evaluate: (x) => Math.atanh(x) },
+    log: { args: 1, evaluate: (x) => Math.log10(x) },
+    ln: { args: 1, evaluate: (x) => Math.log(x) },
+    // A function with validate checks its arguments first and returns an
+    // error when they are out of range
+    round: {
+      args: 2,
+      validate: (x, n) =>
+        Number.isInteger(n) && n >= 0 && n <= 9
+          ? null
+          : createDomainError("round takes 0 to 9 decimal places"),
+      evaluate: roundToDecimals,
+    },
+    not: { args: 1, evaluate: (x) => (x === 0 ? 1 : 0) },
+    iPart: { args: 1, evaluate: (x) => Math.trunc(x) },
+    fPart: { args: 1, exact: true, evaluate: fractionalPart },
+    int: { args: 1, evaluate: (x) => Math.floor(x) },
+    // min and max compare two values, or the elements of one list
+    min: {
+      args: 1,
+      optionalArgs: 1,
+      exact: true,
+      evaluate: smallerValue,
+      evaluateList: (list) => list.reduce(smallerValue),
+    },
+    max: {
+      args: 1,
+      optionalArgs: 1,
+      exact: true,
+      evaluate: largerValue,
+      evaluateList: (list) => list.reduce(largerValue),
+    },
+    // List functions reduce a list to one value
+    sum: {
+      args: 1,
+      complex: true,
+      evaluateList: (list) => list.reduce(addValues),
+    },
+    prod: {
+      args: 1,
+      complex: true,
+      evaluateList: (list) => list.reduce(multiplyValues),
+    },
+    mean: {
+      args: 1,
+      complex: true,
+      evaluateList: (list) => divideValues(list.reduce(addValues), list.length),
+    },
+    median: { args: 1, evaluateList: medianValue },
+    remainder: {
+      args: 2,
+      validate: (a, b) =>
+        !isWholeNumber(a) || !isWholeNumber(b)
+          ? createDomainError("remainder takes whole numbers")
+          : b === 0
+          ? createCalculatorError("Division by zero", undefined, "DIVIDE BY 0")
+          : null,
+      evaluate: (a, b) => a % b,
+    },
+    lcm: {
+      args: 2,
+      validate: (a, b) =>
+        isWholeNumber(a) && isWholeNumber(b)
+          ? null
+          : createDomainError("lcm takes whole numbers"),
+      evaluate: (a, b) =>
+        a === 0 || b === 0 ? 0 : (a / greatestCommonDivisor(a, b)) * b,
+    },
+    // randint(lo,hi) and randbin(trials,p) give one number, or a list of n
+    // with a third argument n
+    randint: {
+      args: 2,
+      optionalArgs: 1,
+      validate: (lo, hi, n) =>
+        !Number.isSafeInteger(lo) || !Number.isSafeInteger(hi)
+          ? createDomainError("randint takes whole-number bounds")
+          : validateRandomCount(n),
+      evaluate: (lo, hi, n) =>
+        repeatRandom(n, () =>
+          randomInteger(Math.min(lo, hi), Math.max(lo, hi))
+        ),
+    },
+    randbin: {
+      args: 2,
+      optionalArgs: 1,
+      validate: (trials, p, n) =>
+        !isWholeNumber(trials)
+          ? createDomainError("randbin takes a whole number of trials")
+          : p < 0 || p > 1
+          ? createDomainError("randbin takes a probability from 0 to 1")
+          : validateRandomCount(n),
+      evaluate: (trials, p, n) =>
+        repeatRandom(n, () => randomBinomial(trials, p)),
+    },
+    gcd: {
+      args: 2,
+      validate: (a, b) =>
+        isWholeNumber(a) && isWholeNumber(b)
+          ? null
+          : createDomainError("gcd takes whole numbers"),
+      evaluate: greatestCommonDivisor,
+    },
+    // Exact functions receive fractions as they are; the rest get decimals.
+    // Only complex functions accept complex arguments.
+    "√": {
+      args: 1,
+      exact: true,
+      complex: true,
+      evaluate: (x) => squareRootValue(x),
+    },
+    "³√": { args: 1, exact: true, complex: true, evaluate: cubeRoot },
+    abs: { args: 1, exact: true, complex: true, evaluate: absoluteValue },
+    conj: { args: 1, exact: true, complex: true, evaluate: conjugateValue },
+    real: {
+      args: 1,
+      exact: true,
+      complex: true,
+      evaluate: (x) => (isComplex(x) ? x.re : x),
+    },
+    imag: { args: 1, exact: true, complex: true, evaluate: imaginaryPart },
+    arg: { args: 1, exact: true, complex: true, evaluate: argumentValue },
+  };
+
+  // Conversions end the entry and only change how its result is shown;
+  // Ans keeps the value
+  const CONVERSIONS = {
+    "►n/d◂▸Un/d": (value) =>
+      isFraction(value) ? formatFraction(value, true) : formatValue(value),
+    "►factor": formatPrimeFactors,
+    "►DMS": formatDms,
+  };
+
+  const CONSTANTS = ["π", "e", "i"];
+  const VARIABLES = ["x", "y", "z", "t", "a", "b", "c"];
+  const LIST_NAMES = ["L1", "L2", "L3", "L4", "L5", "L6"];
+
+  // Fixed-text tokens, longest first so "sin⁻¹(" wins over "sin("
+  const SYMBOL_TOKENS = [
+    ...Object.keys(FUNCTIONS).map((name) => ({
+      text: name + "(",
+      type: "function",
+      value: name,
+    })),
+    ...Object.keys(BINARY_OPERATORS).map((op) => ({
+      text: LOGIC_OPERATORS.includes(op) ? ` ${op} ` : op,
+      type: "operator",
+      value: op,
+    })),
+    { text: "-", type: "operator", value: "−" },
+    { text: "*", type: "operator", value: "×" },
+    { text: "/", type: "operator", value: "÷" },
+    ...POSTFIX_OPERATORS.map((op) => ({
+      text: op,
+      type: "postfix",
+      value: op,
+    })),
+    { text: "⁻", type: "negation", value: "⁻" },
+    ...Object.keys(CONVERSIONS).map((name) => ({
+      text: name,
+      type: "conversion",
+      value: name,
+    })),
+    ...CONSTANTS.map((name) => ({ text: name, type: "constant", value: name })),
+    ...VARIABLES.map((name) => ({ text: name, type: "variable", value: name })),
+    ...LIST_NAMES.map((name) => ({ text: name, type: "list", value: name })),
+    ...STAT_VARIABLES.map((name) => ({
+      text: name,
+      type: "statVariable",
+      value: name,
+    })),
+    { text: "Ans", type: "answer", value: "Ans" },
+    { text: "rand", type: "random", value: "rand" },
+    { text: "(", type: "lparen", value: "(" },
+    { text: ")", type: "rparen", value: ")" },
+    { text: "[", type: "lbracket", value: "[" },
+    { text: "]", type: "rbracket", value: "]" },
+    { text: ",", type: "comma", value: "," },
+    { text: FRACTION_BAR, type: "fractionBar", value: FRACTION_BAR },
+    { text: MIXED_SEPARATOR, type: "mixedSeparator", value: MIXED_SEPARATOR },
+  ].sort((a, b) => b.text.length - a.text.length);
+
+  // Errors carry the type shown on the error screen, such as DOMAIN,
+  // DIVIDE BY 0, OVERFLOW, MEMORY or SYNTAX, and the position in the entry
+  // where they occurred, which GOTO moves the cursor to
+  function createCalculatorError(message, position, type = "SYNTAX") {
+    const error = new Error(message);
+    error.position = position;
+    error.type = type;
+    return error;
+  }
+
+  // Functions check their arguments before they have a position
+  function createDomainError(message) {
+    return createCalculatorError(message, undefined, "DOMAIN");
+  }
+
+  function tokenize(expr) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < expr.length) {
+      const rest = expr.slice(position);
+      const [text, mantissa = "1", sign, power = "0"] =
+        rest.match(NUMBER_PATTERN);
+      if (text) {
+        tokens.push({
+          type: "number",
+          value: Number(`${mantissa}e${sign ? "-" : ""}${power}`),
+          text,
+          position,
+        });
+        position += text.length;
+        continue;
+      }
+
+      // Spaces are skipped unless they belong to a logic operator
+      const symbol = SYMBOL_TOKENS.find((token) => rest.startsWith(token.text));
+      if (!symbol && rest[0] === " ") {
+        position++;
+        continue;
+      }
+      if (!symbol) {
+        throw createCalculatorError(`Unexpected "${rest[0]}"`, position);
+      }
+
+      tokens.push({
+        type: symbol.type,
+        value: symbol.value,
+        text: symbol.text,
+        position,
+      });
+      position += symbol.text.length;
+    }
+
+    return tokens;
+  }
+
+  function parseExpression(expr) {
+    const parser = { tokens: tokenize(expr), index: 0, length: expr.length };
+
+    if (parser.tokens.length === 0) {
+      throw createCalculatorError("Empty expression", 0);
+    }
+    checkPending(parser.tokens);
+
+    let ast = parseBinary(parser, 0);
+
+    const conversion = peekToken(parser);
+    if (conversion && conversion.type === "conversion") {
+      nextToken(parser);
+      ast = {
+        type: "conversion",
+        name: conversion.value,
+        operand: ast,
+        position: conversion.position,
+      };
+    }
+
+    const leftover = peekToken(parser);
+    if (leftover) {
+      throw createCalculatorError(
+        `Unexpected "${leftover.text}"`,
+        leftover.position
+      );
+    }
+
+    return ast;
+  }
+
+  // Each open parenthesis or function waits on its closing parenthesis
+  function checkPending(tokens) {
+    let pending = 0;
+    tokens.forEach((token) => {
+      if (["function", "lparen", "lbracket"].includes(token.type)) {
+        pending++;
+      } else if (["rparen", "rbracket"].includes(token.type)) {
+        pending = Math.max(0, pending - 1);
+      }
+      if (pending > MAX_PENDING) {
+        throw createCalculatorError(
+          "Too many pending operations",
+          token.position,
+          "MEMORY"
+        );
+      }
+    });
+  }
+
+  // An equation is left=right, or an expression equal to zero. "=" has the
+  // lowest precedence of the relations, so a top-level "=" splits the sides.
+  // Any other relation, such as x>2, is not an equation.
+  function parseEquation(expr) {
+    const ast = parseExpression(expr);
+    const sides =
+      ast.type === "binary" && ast.operator === "="
+        ? { left: ast.left, right: ast.right }
+        : {
+            left: ast,
+            right: { type: "number", value: 0, position: expr.length },
+          };
+
+    const relation = findRelation(sides.left) || findRelation(sides.right);
+    if (relation) {
+      throw createCalculatorError(
+        `${relation.operator.trim()} cannot be solved`,
+        relation.position,
+        "INVALID"
+      );
+    }
+    return sides;
+  }
+
+  // The first relation or logic operation in the AST, or null
+  function findRelation(ast) {
+    if (
+      ast.type === "binary" &&
+      [...RELATIONS, ...LOGIC_OPERATORS].includes(ast.operator)
+    ) {
+      return ast;
+    }
+    return (
+      ["operand", "left", "right", "whole", "fraction", "args", "elements"]
+        .flatMap((key) => ast[key] || [])
+        .map(findRelation)
+        .find(Boolean) || null
+    );
+  }
+
+  function usesVariable(ast, name) {
+    if (ast.type === "variable") {
+      return ast.name === name;
+    }
+    return ["operand", "left", "right", "whole", "fraction", "args", "elements"]
+      .flatMap((key) => ast[key] || [])
+      .some((child) => usesVariable(child, name));
+  }
+
+  function peekToken(parser) {
+    return parser.tokens[parser.index];
+  }
+
+  function nextToken(parser) {
+    return parser.tokens[parser.index++];
+  }
+
+  // Position to report when the expression ends too early
+  function endPosition(parser) {
+    return parser.length;
+  }
+
+  function parseBinary(parser, minPrecedence) {
+    let left = parseUnary(parser);
+
+    for (;;) {
+      const token = peekToken(parser);
+      if (!token) break;
+
+      const implied = OPERAND_START_TYPES.includes(token.type);
+      // Two numbers in a row, as in 1.2.3, are a mistyped number rather than
+      // a product
+      if (
+        token.type === "number" &&
+        parser.tokens[parser.index - 1].type === "number"
+      ) {
+        throw createCalculatorError(
+          `Unexpected "${token.text}"`,
+          token.position
+        );
+      }
+      const operator = implied ? "×" : token.value;
+      const info =
+        (implied || token.type === "operator") && BINARY_OPERATORS[operator];
+      if (!info || info.precedence < minPrecedence) break;
+
+      if (!implied) {
+        nextToken(parser);
+      }
+      const nextPrecedence =
+        info.associativity === "right" ? info.precedence : info.precedence + 1;
+      const right = parseBinary(parser, nextPrecedence);
+      left = {
+        type: "binary",
+        operator,
+        implied,
+        left,
+        right,
+        position: token.position,
+      };
+    }
+
+    return left;
+  }
+
+  function parseUnary(parser) {
+    const token = peekToken(parser);
+
+    if (token && token.type === "negation") {
+      nextToken(parser);
+      return {
+        type: "unary",
+        operator: "⁻",
+        operand: parseBinary(parser, NEGATION_PRECEDENCE),
+        position: token.position,
+      };
+    }
+
+    return parsePostfix(parser);
+  }
+
+  function parsePostfix(parser) {
+    let node = parseFraction(parser);
+
+    while (peekToken(parser) && peekToken(parser).type === "postfix") {
+      const token = nextToken(parser);
+      node = {
+        type: "postfix",
+        operator: token.value,
+        operand: node,
+        position: token.position,
+      };
+
+      // Minutes after degrees, or seconds after either, are added on
+      if (continuesDms(parser, token.value)) {
+        const rest = parsePostfix(parser);
+        node = {
+          type: "binary",
+          operator: "+",
+          left: node,
+          right: rest,
+          position: rest.position,
+          implied: true,
+        };
+      }
+    }
+
+    return node;
+  }
+
+  // True when a number with a smaller DMS unit follows, as 15' does in 30°15'
+  function continuesDms(parser, marker) {
+    const number = parser.tokens[parser.index];
+    const next = parser.tokens[parser.index + 1];
+    return (
+      DMS_MARKERS.includes(marker) &&
+      number &&
+      number.type === "number" &&
+      next &&
+      DMS_MARKERS.indexOf(next.value) > DMS_MARKERS.indexOf(marker)
+    );
+  }
+
+  // n⁄d joins the primaries on either side; U∪n⁄d adds a whole-number part
+  function parseFraction(parser) {
+    let node = parsePrimary(parser);
+
+    const separator = peekToken(parser);
+    if (separator && separator.type === "mixedSeparator") {
+      nextToken(parser);
+      const fraction = parsePrimary(parser);
+      const bar = nextToken(parser);
+      if (!bar || bar.type !== "fractionBar") {
+        throw createCalculatorError(
+          "Mixed number needs a fraction",
+          bar ? bar.position : endPosition(parser)
+        );
+      }
+      return {
+        type: "mixed",
+        whole: node,
+        fraction: {
+          type: "binary",
+          operator: FRACTION_BAR,
+          left: fraction,
+          right: parsePrimary(parser),
+          position: bar.position,
+        },
+        position: separator.position,
+      };
+    }
+
+    while (peekToken(parser) && peekToken(parser).type === "fractionBar") {
+      const bar = nextToken(parser);
+      node = {
+        type: "binary",
+        operator: FRACTION_BAR,
+        left: node,
+        right: parsePrimary(parser),
+        position: bar.position,
+      };
+    }
+
+    return node;
+  }
+
+  function parsePrimary(parser) {
+    const token = nextToken(parser);
+
+    if (!token) {
+      throw createCalculatorError("Incomplete expression", endPosition(parser));
+    }
+
+    switch (token.type) {
+      case "number":
+        return { type: "number", value: token.value, position: token.position };
+      case "constant":
+      case "variable":
+      case "list":
+      case "answer":
+      case "statVariable":
+      case "random":
+        return {
+          type: token.type,
+          name: token.value,
+          position: token.position,
+        };
+      case "lparen": {
+        const inner = parseBinary(parser, 0);
+        closeGroup(parser, "rparen");
+        return inner;
+      }
+      case "lbracket":
+        return {
+          type: "listLiteral",
+          elements: parseArguments(parser, "rbracket"),
+          position: token.position,
+        };
+      case "function": {
+        const args = parseArguments(parser, "rparen");
+        const { args: expected, optionalArgs = 0 } = FUNCTIONS[token.value];
+        if (args.length < expected || args.length > expected + optionalArgs) {
+          const counts = optionalArgs
+            ? `${expected} or ${expected + optionalArgs}`
+            : expected;
+          throw createCalculatorError(
+            `${token.value} takes ${counts} argument${
+              expected === 1 && !optionalArgs ? "" : "s"
+            }`,
+            token.position,
+            "ARGUMENT"
+          );
+        }
+        return {
+          type: "call",
+          name: token.value,
+          args,
+          position: token.position,
+        };
+      }
+      default:
+        throw createCalculatorError(
+          `Unexpected "${token.text}"`,
+          token.position
+        );
+    }
+  }
+
+  // Parse comma-separated expressions up to the closing token
+  function parseArguments(parser, closingType) {
+    const args = [parseBinary(parser, 0)];
+
+    while (peekToken(parser) && peekToken(parser).type === "comma") {
+      nextToken(parser);
+      args.push(parseBinary(parser, 0));
+    }
+
+    closeGroup(parser, closingType);
+    return args;
+  }
+
+  // Closing parentheses may be left off at the end of the entry, as on the
+  // handheld
+  function closeGroup(parser, closingType) {
+    const token = peekToken(parser);
+
+    if (!token) return;
+
+    if (token.type !== closingType) {
+      throw createCalculatorError(`Unexpected "${token.text}"`, token.position);
+    }
+
+    nextToken(parser);
+  }
+
+  // Results are kept to 13 significant digits, as on the handheld. Each
+  // step keeps two guard digits more, so binary noise such as the
+  // 0.49999999999999994 of sin(30) is gone before it can add up, while
+  // parts such as the iπ of e^(iπ) stay accurate enough to give -1.
+  function evaluateExpression(ast) {
+    return roundValue(evaluatePart(ast));
+  }
+
+  function evaluatePart(ast) {
+    const value = evaluateNode(ast);
+    checkRange(value, ast.position);
+    return ["call", "binary", "postfix"].includes(ast.type)
+      ? roundValue(value, GUARD_PRECISION)
+      : value;
+  }
+
+  // Values must be numbers below 1E100 in size
+  function checkRange(value, position) {
+    if (isList(value)) {
+      value.forEach((item) => checkRange(item, position));
+      return;
+    }
+
+    const parts = [realPart(value), imaginaryPart(value)];
+    if (parts.some(isNaN)) {
+      throw createCalculatorError("Invalid result", position, "DOMAIN");
+    }
+    if (parts.some((part) => Math.abs(part) >= OVERFLOW_LIMIT)) {
+      throw createCalculatorError("Result too large", position, "OVERFLOW");
+    }
+  }
+
+  function evaluateNode(ast) {
+    switch (ast.type) {
+      case "number":
+        return ast.value;
+      case "constant":
+        if (ast.name === "i") {
+          return createComplex(0, 1);
+        }
+        return ast.name === "π" ? PI : E;
+      case "variable":
+        return state.memory[ast.name];
+      case "answer":
+        return state.lastAnswer;
+      case "statVariable":
+        return getStatVariable(ast.name, ast.position);
+      case "random":
+        return nextRandom();
+      case "list":
+        return state.lists[ast.name].slice();
+      case "listLiteral":
+        if (ast.elements.length > MAX_LIST_LENGTH) {
+          throw createCalculatorError(
+            `A list holds up to ${MAX_LIST_LENGTH} numbers`,
+            ast.position,
+            "INVALID DIM"
+          );
+        }
+        return ast.elements.map(evaluateScalar);
+      case "call":
+        return evaluateCall(FUNCTIONS[ast.name], ast);
+      case "unary":
+        return mapElements(
+          [evaluatePart(ast.operand)],
+          negateValue,
+          ast.position
+        );
+      case "mixed":
+        return evaluateMixedNumber(ast);
+      case "binary":
+        return mapElements(
+          [evaluatePart(ast.left), evaluatePart(ast.right)],
+          (left, right) =>
+            evaluateBinary(ast.operator, left, right, ast.position),
+          ast.position
+        );
+      case "postfix":
+        return mapElements(
+          [evaluatePart(ast.operand)],
+          (value) => evaluatePostfix(ast.operator, value, ast.position),
+          ast.position
+        );
+      case "conversion":
+        return evaluateScalar(ast.operand);
+      default:
+        throw createCalculatorError("Invalid expression", ast.position);
+    }
+  }
+
+  // List elements, mixed numbers and conversions take single values
+  function evaluateScalar(ast) {
+    const value = evaluatePart(ast);
+    if (isList(value)) {
+      throw createCalculatorError(
+        "A list cannot be used here",
+        ast.position,
+        "DATA TYPE"
+      );
+    }
+    return value;
+  }
+
+  // Lists combine element by element, with each other and with single
+  // values, so L1×2 doubles every element and L1+L2 adds them in pairs
+  function mapElements(values, evaluate, position) {
+    const lists = values.filter(isList);
+    if (lists.length === 0) {
+      return evaluate(...values);
+    }
+    if (lists.some((list) => list.length !== lists[0].length)) {
+      throw createCalculatorError(
+        "Lists differ in length",
+        position,
+        "DIM MISMATCH"
+      );
+    }
+
+    return lists[0].map((_, i) => {
+      const result = evaluate(
+        ...values.map((value) => (isList(value) ? value[i] : value))
+      );
+      // A list of lists, as from randint(1,6,L1), cannot be stored
+      if (isList(result)) {
+        throw createCalculatorError(
+          "A list cannot hold lists",
+          position,
+          "DATA TYPE"
+        );
+      }
+      return result;
+    });
+  }
+
+  // Functions apply to each element of a list. Those with evaluateList
+  // instead take a whole list as their only argument, as sum(L1) does.
+  function evaluateCall(fn, ast) {
+    const args = ast.args.map(evaluatePart);
+    if (fn.evaluateList && args.length === 1) {
+      return evaluateListFunction(fn, ast, args[0]);
+    }
+    return mapElements(
+      args,
+      (...values) => callFunction(fn, ast, values),
+      ast.position
+    );
+  }
+
+  function evaluateListFunction(fn, ast, list) {
+    if (!isList(list)) {
+      throw createCalculatorError(
+        `${ast.name} takes a list`,
+        ast.position,
+        "DATA TYPE"
+      );
+    }
+    if (list.length === 0) {
+      throw createCalculatorError(
+        `${ast.name} needs a list with data`,
+        ast.position,
+        "INVALID DIM"
+      );
+    }
+    checkComplexArgs(fn, ast, list);
+    return fn.evaluateList(list);
+  }
+
+  function callFunction(fn, ast, args) {
+    checkComplexArgs(fn, ast, args);
+    const values = fn.exact ? args : args.map(toNumber);
+    const invalid = fn.validate && fn.validate(...values);
+    if (invalid) {
+      invalid.position = ast.position;
+      throw invalid;
+    }
+    const result = fn.evaluate(...values);
+    // A finite input with no finite result is outside the domain,
+    // e.g. cosh⁻¹(0.5), tanh⁻¹(1) or ln(0)
+    if (!fn.overflows && !isFiniteValue(result) && args.every(isFiniteValue)) {
+      throw createCalculatorError(
+        `Invalid input for ${ast.name}`,
+        ast.position,
+        "DOMAIN"
+      );
+    }
+    return result;
+  }
+
+  function checkComplexArgs(fn, ast, args) {
+    if (!fn.complex && args.some(isComplex)) {
+      throw createCalculatorError(
+        `${ast.name} does not accept complex numbers`,
+        ast.position,
+        "DATA TYPE"
+      );
+    }
+  }
+
+  // Evaluate with a variable temporarily set, as the table and solver do
+  function evaluateWithVariable(ast, name, value) {
+    const saved = state.memory[name];
+    state.memory[name] = value;
     try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
+      return evaluateExpression(ast);
+    } finally {
+      state.memory[name] = saved;
+    }
+  }
+
+  function evaluateBinary(operator, left, right, position) {
+    switch (operator) {
+      case "+":
+        return cancelNoise(addValues(left, right), left, right);
+      case "−":
+        return cancelNoise(subtractValues(left, right), left, right);
+      case "×":
+        return multiplyValues(left, right);
+      case "÷":
+      case FRACTION_BAR:
+        return divideValues(left, right, position);
+      case "^":
+        return powerValue(left, right, position);
+      case "ˣ√":
+        return nthRoot(right, left, position);
+      case "nPr":
+        return permutations(toNumber(left), toNumber(right), position);
+      case "nCr":
+        return combinations(toNumber(left), toNumber(right), position);
+      default:
+        return testValues(operator, left, right, position);
+    }
+  }
+
+  // A sum or difference keeps only the decimal places its terms carry, so
+  // 1.0000000001−1 is 1E-10. One far smaller than its terms is left over
+  // from their rounding, as in 1−0.9−0.1, and is taken as 0.
+  function cancelNoise(result, a, b) {
+    if (isFraction(result) || isComplex(result) || result === 0) {
+      return result;
+    }
+
+    const size = Math.max(Math.abs(realPart(a)), Math.abs(realPart(b)));
+    if (Math.abs(result) < CANCELLATION_TOLERANCE * size) return 0;
+    return roundSignificant(
+      result,
+      GUARD_PRECISION - decimalExponent(size) + decimalExponent(result)
+    );
+  }
+
+  // Relations and logic give 1 for true and 0 for false. Values are
+  // compared to 13 digits, so 0.1+0.2=0.3 is true. Only = and ≠ compare
+  // complex numbers.
+  function testValues(operator, left, right, position) {
+    if (operator === "=" || operator === "≠") {
+      const equal =
+        roundToPrecision(realPart(left)) ===
+          roundToPrecision(realPart(right)) &&
+        roundToPrecision(imaginaryPart(left)) ===
+          roundToPrecision(imaginaryPart(right));
+      return equal === (operator === "=") ? 1 : 0;
+    }
+
+    if (isComplex(left) || isComplex(right)) {
+      throw createCalculatorError(
+        `${operator} does not accept complex numbers`,
+        position,
+        "DATA TYPE"
+      );
+    }
+
+    const [a, b] = [
+      roundToPrecision(toNumber(left)),
+      roundToPrecision(toNumber(right)),
+    ];
+    switch (operator) {
+      case ">":
+        return a > b ? 1 : 0;
+      case "≥":
+        return a >= b ? 1 : 0;
+      case "<":
+        return a < b ? 1 : 0;
+      case "≤":
+        return a <= b ? 1 : 0;
+      case "and":
+        return a !== 0 && b !== 0 ? 1 : 0;
+      case "or":
+        return a !== 0 || b !== 0 ? 1 : 0;
+      case "xor":
+        return (a !== 0) !== (b !== 0) ? 1 : 0;
+    }
+  }
+
+  // Decimal rounding
+  // Rounding works from the shortest decimal form of a number rather than
+  // its binary value and goes half away from zero, so 1.005 rounds to 1.01
+  // and 0.1+0.2 is exactly 0.3. Results keep MAX_PRECISION digits, three
+  // guard digits beyond the DISPLAY_PRECISION shown.
+  function roundSignificant(value, digits) {
+    if (value === 0 || !isFinite(value)) return value;
+
+    const [mantissa, exponent] = Math.abs(value).toExponential().split("e");
+    const figures = mantissa.replace(".", "");
+    const power = Number(exponent);
+    if (figures.length <= digits) return value;
+
+    // Rounding to no digits leaves 0 or the next power of ten
+    if (digits <= 0) {
+      const roundsUp = digits === 0 && figures[0] >= "5";
+      return roundsUp ? Math.sign(value) * Number(`1e${power + 1}`) : 0;
+    }
+
+    let kept = figures.slice(0, digits);
+    if (figures[digits] >= "5") {
+      kept = incrementDigits(kept);
+    }
+    return Math.sign(value) * Number(`${kept}e${power - digits + 1}`);
+  }
+
+  // Adds one to a string of digits, carrying through trailing 9s
+  function incrementDigits(digits) {
+    const nines = digits.search(/9*$/);
+    if (nines === 0) return "1" + "0".repeat(digits.length);
+    return (
+      digits.slice(0, nines - 1) +
+      (Number(digits[nines - 1]) + 1) +
+      "0".repeat(digits.length - nines)
+    );
+  }
+
+  function roundToPrecision(value) {
+    return roundSignificant(value, MAX_PRECISION);
+  }
+
+  function roundValue(value, digits = MAX_PRECISION) {
+    if (isList(value)) return value.map((item) => roundValue(item, digits));
+    if (isComplex(value)) {
+      return createComplex(
+        roundSignificant(value.re, digits),
+        roundSignificant(value.im, digits)
+      );
+    }
+    return isFraction(value) ? value : roundSignificant(value, digits);
+  }
+
+  // Power of ten of the leading digit, e.g. 2 for 123.4
+  function decimalExponent(value) {
+    return Number(Math.abs(value).toExponential().split("e")[1]);
+  }
+
+  function evaluatePostfix(operator, value, position) {
+    switch (operator) {
+      case "!":
+        return factorial(toNumber(value), position);
+      case "²":
+        return multiplyValues(value, value);
+      case "³":
+        return multiplyValues(multiplyValues(value, value), value);
+      case "⁻¹":
+        return divideValues(1, value, position);
+      case "°":
+        return convertAngle(toNumber(value), "DEG", state.angleMode);
+      case "'":
+        return convertAngle(toNumber(value) / 60, "DEG", state.angleMode);
+      case '"':
+        return convertAngle(toNumber(value) / 3600, "DEG", state.angleMode);
+      case "ʳ":
+        return convertAngle(toNumber(value), "RAD", state.angleMode);
+      case "ᵍ":
+        return convertAngle(toNumber(value), "GRAD", state.angleMode);
+    }
+  }
+
+  // The whole part of a mixed number U∪n⁄d must be a whole number
+  function evaluateMixedNumber(ast) {
+    const whole = evaluateScalar(ast.whole);
+
+    if (!Number.isInteger(whole) || whole < 0) {
+      throw createCalculatorError(
+        "Invalid mixed number",
+        ast.position,
+        "DOMAIN"
+      );
+    }
+
+    return addValues(whole, evaluateScalar(ast.fraction));
+  }
+
+  // Odd roots of negative numbers are real; other roots of negative or
+  // complex numbers are complex
+  function nthRoot(radicand, index, position) {
+    const [x, n] = [toNumber(radicand), toNumber(index)];
+    if (x < 0 && Number.isInteger(n) && n % 2 !== 0) {
+      return -Math.pow(-x, 1 / n);
+    }
+    if (isComplex(radicand) || isComplex(index) || x < 0) {
+      return complexPower(radicand, divideValues(1, index, position));
+    }
+    return Math.pow(x, 1 / n);
+  }
+
+  // Perfect cubes come out exact, so ³√(27) is 3 rather than 3.0000000000000004
+  function cubeRoot(value) {
+    const root = nthRoot(value, 3);
+    const whole = Math.round(toNumber(root));
+    return isExact(value) && whole ** 3 === toNumber(value) ? whole : root;
+  }
+
+  // Rounds half away from zero, as the handheld does
+  function roundToDecimals(value, decimals) {
+    if (value === 0 || !isFinite(value)) return value;
+    return roundSignificant(value, decimalExponent(value) + 1 + decimals);
+  }
+
+  // Sine and cosine are exactly 0 on the axes, so sin(180) is 0 in DEG mode
+  // rather than 1.2E⁻16, and tan(90) has no value
+  function sine(angle) {
+    return isHalfTurns(angle, 0) ? 0 : Math.sin(convertAngleToRadians(angle));
+  }
+
+  function cosine(angle) {
+    return isHalfTurns(angle, 0.5) ? 0 : Math.cos(convertAngleToRadians(angle));
+  }
+
+  // True when the angle is a whole number of half turns plus the offset
+  function isHalfTurns(angle, offset) {
+    const halfTurns = roundToPrecision(angle / convertRadiansToAngle(Math.PI));
+    return Number.isInteger(halfTurns - offset);
+  }
+
+  // fPart keeps fractions exact and the sign of its argument
+  function fractionalPart(value) {
+    if (isFraction(value)) {
+      return createFraction(
+        value.numerator % value.denominator,
+        value.denominator
+      );
+    }
+    return toNumber(value) - Math.trunc(toNumber(value));
+  }
+
+  function isWholeNumber(value) {
+    return Number.isSafeInteger(value) && value >= 0;
+  }
+
+  // Choosing more items than there are gives 0 arrangements
+  function permutations(n, r, position) {
+    if (!isWholeNumber(n) || !isWholeNumber(r)) {
+      throw createCalculatorError(
+        "nPr takes whole numbers",
+        position,
+        "DOMAIN"
+      );
+    }
+
+    let result = r > n ? 0 : 1;
+    for (let i = 0; i < r && result; i++) {
+      result *= n - i;
+    }
+    return result;
+  }
+
+  // Each partial product is itself a binomial coefficient, so the division
+  // stays whole
+  function combinations(n, r, position) {
+    if (!isWholeNumber(n) || !isWholeNumber(r)) {
+      throw createCalculatorError(
+        "nCr takes whole numbers",
+        position,
+        "DOMAIN"
+      );
+    }
+    if (r > n) return 0;
+
+    let result = 1;
+    for (let i = 1; i <= Math.min(r, n - r); i++) {
+      result = Math.round((result * (n - i + 1)) / i);
+    }
+    return result;
+  }
+
+  function factorial(value, position) {
+    if (value < 0 || !Number.isInteger(value)) {
+      throw createCalculatorError(
+        "Invalid input for factorial",
+        position,
+        "DOMAIN"
+      );
+    }
+
+    if (value > 170) {
+      throw createCalculatorError("Factorial too large", position, "OVERFLOW");
+    }
+
+    let result = 1;
+    for (let i = 2; i <= value; i++) {
+      result *= i;
+    }
+    return result;
+  }
+
+  // Random numbers
+  // A combined multiplicative generator (L'Ecuyer), so every seed gives a
+  // reproducible sequence. Math.random is never used.
+  const RANDOM_MODULUS_1 = 2147483563;
+  const RANDOM_MODULUS_2 = 2147483399;
+
+  // A number from 0 up to but not including 1
+  function nextRandom() {
+    const random = state.random;
+    random.s1 = (random.s1 * 40014) % RANDOM_MODULUS_1;
+    random.s2 = (random.s2 * 40692) % RANDOM_MODULUS_2;
+
+    const value = (random.s1 - random.s2) / RANDOM_MODULUS_1;
+    return value < 0 ? value + 1 : value;
+  }
+
+  function randomInteger(lo, hi) {
+    return lo + Math.floor(nextRandom() * (hi - lo + 1));
+  }
+
+  // Successes in a number of trials that each succeed with probability p
+  function randomBinomial(trials, p) {
+    let successes = 0;
+    for (let i = 0; i < trials; i++) {
+      if (nextRandom() < p) successes++;
+    }
+    return successes;
+  }
+
+  function validateRandomCount(n) {
+    if (n === undefined) return null;
+    return Number.isInteger(n) && n >= 1 && n <= MAX_LIST_LENGTH
+      ? null
+      : createDomainError(
+          `A random list holds 1 to ${MAX_LIST_LENGTH} numbers`
+        );
+  }
+
+  // One value, or a list of n values when n is given
+  function repeatRandom(n, generate) {
+    if (n === undefined) return generate();
+    return Array.from({ length: n }, generate);
+  }
+
+  // Value arithmetic
+  // Values are decimals (plain numbers), exact fractions or complex numbers.
+  // Integers count as exact, so arithmetic on integers and fractions stays
+  // exact until a numerator or denominator grows past the fraction limits;
+  // then the result overflows into a decimal. Complex numbers hold decimal
+  // parts and become real again when their imaginary part is 0.
+  function isFraction(value) {
+    return (
+      typeof value === "object" && value !== null && value.type === "fraction"
+    );
+  }
+
+  function isComplex(value) {
+    return (
+      typeof value === "object" && value !== null && value.type === "complex"
+    );
+  }
+
+  function isList(value) {
+    return Array.isArray(value);
+  }
+
+  function isExact(value) {
+    return isFraction(value) || Number.isSafeInteger(value);
+  }
+
+  // Complex values have no real number form
+  function toNumber(value) {
+    if (isComplex(value)) return NaN;
+    return isFraction(value) ? value.numerator / value.denominator : value;
+  }
+
+  function isFiniteValue(value) {
+    if (isList(value)) return value.every(isFiniteValue);
+    return isComplex(value)
+      ? isFinite(value.re) && isFinite(value.im)
+      : isFinite(toNumber(value));
+  }
+
+  function numeratorOf(value) {
+    return isFraction(value) ? value.numerator : value;
+  }
+
+  function denominatorOf(value) {
+    return isFraction(value) ? value.denominator : 1;
+  }
+
+  // Comparisons keep the exact value that wins, so min(1⁄3,0.5) is 1⁄3
+  function smallerValue(a, b) {
+    return toNumber(b) < toNumber(a) ? b : a;
+  }
+
+  function largerValue(a, b) {
+    return toNumber(b) > toNumber(a) ? b : a;
+  }
+
+  // The middle element, or the mean of the middle two
+  function medianValue(list) {
+    const sorted = [...list].sort((a, b) => toNumber(a) - toNumber(b));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : divideValues(addValues(sorted[middle - 1], sorted[middle]), 2);
+  }
+
+  function greatestCommonDivisor(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  // Simplified fraction, integer or, when the parts are too large, decimal
+  function createFraction(numerator, denominator) {
+    if (
+      !Number.isSafeInteger(numerator) ||
+      !Number.isSafeInteger(denominator)
+    ) {
+      return numerator / denominator;
+    }
+
+    if (denominator < 0) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+
+    const divisor = greatestCommonDivisor(numerator, denominator);
+    numerator /= divisor;
+    denominator /= divisor;
+
+    if (denominator === 1) {
+      return numerator;
+    }
+
+    if (
+      Math.abs(numerator) > MAX_FRACTION_NUMERATOR ||
+      denominator > MAX_FRACTION_DENOMINATOR
+    ) {
+      return numerator / denominator;
+    }
+
+    return { type: "fraction", numerator, denominator };
+  }
+
+  // Parts too small to show next to the other part are rounding noise, as
+  // in the real part of e^(iπ/2)
+  function createComplex(re, im) {
+    const scale = Math.max(Math.abs(re), Math.abs(im));
+    if (Math.abs(re) < COMPLEX_TOLERANCE * scale) re = 0;
+    if (Math.abs(im) < COMPLEX_TOLERANCE * scale) im = 0;
+
+    return im === 0 ? re : { type: "complex", re, im };
+  }
+
+  function realPart(value) {
+    return isComplex(value) ? value.re : toNumber(value);
+  }
+
+  function imaginaryPart(value) {
+    return isComplex(value) ? value.im : 0;
+  }
+
+  function negateValue(value) {
+    if (isComplex(value)) {
+      return createComplex(-value.re, -value.im);
+    }
+    return isFraction(value)
+      ? createFraction(-value.numerator, value.denominator)
+      : -value;
+  }
+
+  function addValues(a, b) {
+    if (isComplex(a) || isComplex(b)) {
+      return createComplex(
+        realPart(a) + realPart(b),
+        imaginaryPart(a) + imaginaryPart(b)
+      );
+    }
+    if (isExact(a) && isExact(b)) {
+      return createFraction(
+        numeratorOf(a) * denominatorOf(b) + numeratorOf(b) * denominatorOf(a),
+        denominatorOf(a) * denominatorOf(b)
+      );
+    }
+    return toNumber(a) + toNumber(b);
+  }
+
+  function subtractValues(a, b) {
+    return addValues(a, negateValue(b));
+  }
+
+  function multiplyValues(a, b) {
+    if (isComplex(a) || isComplex(b)) {
+      const [p, q, r, s] = [
+        realPart(a),
+        imaginaryPart(a),
+        realPart(b),
+        imaginaryPart(b),
+      ];
+      return createComplex(p * r - q * s, p * s + q * r);
+    }
+    if (isExact(a) && isExact(b)) {
+      return createFraction(
+        numeratorOf(a) * numeratorOf(b),
+        denominatorOf(a) * denominatorOf(b)
+      );
+    }
+    return toNumber(a) * toNumber(b);
+  }
+
+  function divideValues(a, b, position) {
+    if (toNumber(b) === 0) {
+      throw createCalculatorError("Division by zero", position, "DIVIDE BY 0");
+    }
+
+    if (isComplex(a) || isComplex(b)) {
+      const [p, q, r, s] = [
+        realPart(a),
+        imaginaryPart(a),
+        realPart(b),
+        imaginaryPart(b),
+      ];
+      const scale = r * r + s * s;
+      return createComplex((p * r + q * s) / scale, (q * r - p * s) / scale);
+    }
+
+    if (isExact(a) && isExact(b)) {
+      return createFraction(
+        numeratorOf(a) * denominatorOf(b),
+        denominatorOf(a) * numeratorOf(b)
+      );
+    }
+    return toNumber(a) / toNumber(b);
+  }
+
+  // Whole-number powers of exact values stay exact. Negative bases with
+  // fractional exponents give the principal complex value.
+  function powerValue(base, exponent, position) {
+    if (toNumber(base) === 0 && realPart(exponent) < 0) {
+      throw createCalculatorError("Division by zero", position, "DIVIDE BY 0");
+    }
+    if (toNumber(base) === 0 && toNumber(exponent) === 0) {
+      throw createCalculatorError("0^0 is undefined", position, "DOMAIN");
+    }
+    if (
+      isComplex(base) ||
+      isComplex(exponent) ||
+      (toNumber(base) < 0 && !Number.isInteger(toNumber(exponent)))
+    ) {
+      return complexPower(base, exponent);
+    }
+    if (isExact(base) && Number.isInteger(exponent) && base !== 0) {
+      const power = Math.abs(exponent);
+      const numerator = Math.pow(numeratorOf(base), power);
+      const denominator = Math.pow(denominatorOf(base), power);
+      return exponent < 0
+        ? createFraction(denominator, numerator)
+        : createFraction(numerator, denominator);
+    }
+    return Math.pow(toNumber(base), toNumber(exponent));
+  }
+
+  // Whole-number powers are repeated multiplication, so i² is exactly −1;
+  // other powers are e^(w·ln z)
+  function complexPower(base, exponent) {
+    if (Number.isInteger(exponent) && Math.abs(exponent) <= 1024) {
+      let result = 1;
+      let factor = base;
+      for (let power = Math.abs(exponent); power > 0; power >>= 1) {
+        if (power & 1) result = multiplyValues(result, factor);
+        factor = multiplyValues(factor, factor);
+      }
+      return exponent < 0 ? divideValues(1, result) : result;
+    }
+
+    const [re, im] = [realPart(base), imaginaryPart(base)];
+    if (re === 0 && im === 0) {
+      return 0;
+    }
+
+    const logarithm = createComplex(
+      Math.log(Math.hypot(re, im)),
+      Math.atan2(im, re)
+    );
+    return complexExponential(multiplyValues(exponent, logarithm));
+  }
+
+  function complexExponential(value) {
+    const magnitude = Math.exp(realPart(value));
+    const angle = imaginaryPart(value);
+    return createComplex(
+      magnitude * Math.cos(angle),
+      magnitude * Math.sin(angle)
+    );
+  }
+
+  // √ of a fraction whose parts are perfect squares stays exact; negative
+  // numbers have imaginary roots
+  function squareRootValue(value) {
+    if (isComplex(value)) {
+      const modulus = Math.hypot(value.re, value.im);
+      return createComplex(
+        Math.sqrt((modulus + value.re) / 2),
+        Math.sign(value.im) * Math.sqrt((modulus - value.re) / 2)
+      );
+    }
+    if (toNumber(value) < 0) {
+      return multiplyValues(
+        squareRootValue(negateValue(value)),
+        createComplex(0, 1)
+      );
+    }
+    if (isExact(value)) {
+      const numerator = Math.sqrt(numeratorOf(value));
+      const denominator = Math.sqrt(denominatorOf(value));
+      if (Number.isInteger(numerator) && Number.isInteger(denominator)) {
+        return createFraction(numerator, denominator);
+      }
+    }
+    return Math.sqrt(toNumber(value));
+  }
+
+  function absoluteValue(value) {
+    if (isComplex(value)) {
+      return Math.hypot(value.re, value.im);
+    }
+    return toNumber(value) < 0 ? negateValue(value) : value;
+  }
+
+  function conjugateValue(value) {
+    return isComplex(value) ? createComplex(value.re, -value.im) : value;
+  }
+
+  // The angle of a complex number in the current angle unit
+  function argumentValue(value) {
+    return convertRadiansToAngle(
+      Math.atan2(imaginaryPart(value), realPart(value))
+    );
+  }
+
+  // Closest fraction by continued fractions, or the decimal itself when no
+  // fraction within the limits matches it
+  function decimalToFraction(value) {
+    if (Number.isInteger(value) || !isFinite(value)) {
+      return value;
+    }
+
+    const target = Math.abs(value);
+    let [previousNumerator, numerator] = [0, 1];
+    let [previousDenominator, denominator] = [1, 0];
+    let remainder = target;
+
+    while (remainder !== Infinity) {
+      const term = Math.floor(remainder);
+      [previousNumerator, numerator] = [
+        numerator,
+        term * numerator + previousNumerator,
+      ];
+      [previousDenominator, denominator] = [
+        denominator,
+        term * denominator + previousDenominator,
+      ];
+
+      if (denominator > MAX_FRACTION_DENOMINATOR) break;
+
+      if (
+        Math.abs(target - numerator / denominator) <=
+        FRACTION_TOLERANCE * target
+      ) {
+        return createFraction(Math.sign(value) * numerator, denominator);
+      }
+
+      remainder = 1 / (remainder - term);
+    }
+
+    return value;
+  }
+
+  // Utility functions
+  function formatValue(value) {
+    if (isList(value)) return `{${value.map(formatValue).join(" ")}}`;
+    if (isComplex(value)) return formatComplex(value);
+    return isFraction(value) ? formatFraction(value) : formatNumber(value);
+  }
+
+  // a+bi, or r∠θ with θ in the current angle unit
+  function formatComplex(value) {
+    if (state.complexFormat === "POLAR") {
+      const modulus = formatNumber(Math.hypot(value.re, value.im));
+      return `${modulus}∠${formatNumber(argumentValue(value))}`;
+    }
+
+    const imaginary =
+      Math.abs(value.im) === 1 ? "" : formatNumber(Math.abs(value.im));
+    if (value.re === 0) {
+      return `${value.im < 0 ? "-" : ""}${imaginary}i`;
+    }
+    return `${formatNumber(value.re)}${value.im < 0 ? "-" : "+"}${imaginary}i`;
+  }
+
+  // Full-precision number text that the entry line can parse back, with
+  // very large and small numbers in ᴇ notation
+  function formatEntryNumber(value) {
+    const magnitude = Math.abs(toNumber(value));
+    const [mantissa, exponent] = roundToPrecision(magnitude)
+      .toString()
+      .split("e");
+    const text = exponent
+      ? `${mantissa}${EXPONENT_MARK}${Number(exponent)}`.replace("-", "⁻")
+      : mantissa;
+    return (toNumber(value) < 0 ? "⁻" : "") + text;
+  }
+
+  // Entry text that evaluates back to the value
+  function formatEntryValue(value) {
+    if (isList(value)) return `[${value.map(formatEntryValue).join(",")}]`;
+    if (isFraction(value)) {
+      const sign = value.numerator < 0 ? "⁻" : "";
+      return `${sign}${Math.abs(value.numerator)}${FRACTION_BAR}${
+        value.denominator
+      }`;
+    }
+    if (isComplex(value)) {
+      const sign = value.im < 0 ? "−" : "+";
+      return `(${formatEntryNumber(value.re)}${sign}${formatEntryNumber(
+        Math.abs(value.im)
+      )}i)`;
+    }
+    return formatEntryNumber(value);
+  }
+
+  // Fractions display as n⁄d, or as U∪n⁄d when mixed is requested
+  function formatFraction(fraction, mixed = false) {
+    const sign = fraction.numerator < 0 ? "-" : "";
+    const numerator = Math.abs(fraction.numerator);
+    const denominator = fraction.denominator;
+
+    if (mixed && numerator > denominator) {
+      const whole = Math.floor(numerator / denominator);
+      return `${sign}${whole}${MIXED_SEPARATOR}${
+        numerator % denominator
+      }${FRACTION_BAR}${denominator}`;
+    }
+
+    return `${sign}${numerator}${FRACTION_BAR}${denominator}`;
+  }
+
+  // Prime factors with their powers, e.g. 360 shows as 2³×3²×5
+  function formatPrimeFactors(value, position) {
+    if (!isWholeNumber(value) || value < 2) {
+      throw createCalculatorError(
+        "►factor takes a whole number above 1",
+        position,
+        "DOMAIN"
+      );
+    }
+
+    const factors = [];
+    let rest = value;
+    for (let prime = 2; prime * prime <= rest; prime++) {
+      let power = 0;
+      while (rest % prime === 0) {
+        rest /= prime;
+        power++;
+      }
+      if (power > 0) factors.push(formatPower(prime, power));
+    }
+    if (rest > 1) factors.push(formatPower(rest, 1));
+
+    return factors.join("×");
+  }
+
+  // The angle in degrees, minutes and seconds, e.g. 30.2575 shows as
+  // 30°15'27"
+  function formatDms(value, position) {
+    const degrees = convertAngle(toNumber(value), state.angleMode, "DEG");
+    if (!isFinite(degrees)) {
+      throw createCalculatorError(
+        "►DMS takes a real number",
+        position,
+        "DOMAIN"
+      );
+    }
+
+    const seconds = roundToPrecision(Math.abs(degrees) * 3600);
+    const wholeDegrees = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds - wholeDegrees * 3600) / 60);
+    const rest = roundToPrecision(seconds - wholeDegrees * 3600 - minutes * 60);
+    return (
+      `${degrees < 0 ? "-" : ""}${wholeDegrees}°${minutes}'` +
+      `${roundSignificant(rest, DISPLAY_PRECISION)}"`
+    );
+  }
+
+  function formatPower(base, power) {
+    const superscripts = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+    if (power === 1) return String(base);
+    return (
+      base + [...String(power)].map((digit) => superscripts[digit]).join("")
+    );
+  }
 
-      if (value < 0) {
-        showError("Invalid input for square root");
-        return;
+  // NORM shows up to 10 significant digits, switching to scientific
+  // notation when the digits do not fit within 10 decimal places. FIX, SCI
+  // and ENG round half away from zero, as the handheld does.
+  function formatNumber(num) {
+    if (!isFinite(num)) return "Error";
+
+    switch (state.displayMode) {
+      case "FIX":
+        return formatFixed(num, state.fixDecimals);
+      case "SCI":
+        return formatScientific(num, state.fixDecimals);
+      case "ENG":
+        return formatEngineering(num);
+      default: {
+        // NORM shows 10 significant digits, switching to scientific
+        // notation from 1E10 up and below 1E-3
+        const rounded = roundSignificant(num, DISPLAY_PRECISION);
+        const magnitude = Math.abs(rounded);
+        if (magnitude >= 1e10 || (magnitude !== 0 && magnitude < 1e-3)) {
+          return formatScientific(num);
+        }
+        return rounded.toString();
       }
+    }
+  }
 
-      const result = Math.sqrt(value);
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory("√(" + state.entryLine + ")", state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
-    } catch (error) {
-      showError("Invalid input");
+  // Values too large for the decimals shown use scientific notation
+  function formatFixed(num, decimals) {
+    const rounded = roundToDecimals(num, decimals);
+    if (Math.abs(rounded) >= 1e10) {
+      return formatScientific(num, decimals);
     }
+    return rounded.toFixed(decimals);
   }
 
-  function executeReciprocal() {
-    if (!state.isOn) return;
+  // Mantissa and power of ten, as in 1.5E12. The mantissa shows the given
+  // number of decimals, or up to 10 significant digits.
+  function formatScientific(num, decimals) {
+    const digits = decimals === undefined ? DISPLAY_PRECISION : decimals + 1;
+    const rounded = roundSignificant(num, digits);
+    const [mantissa, exponent] = rounded.toExponential(digits - 1).split("e");
+    const text = decimals === undefined ? trimDecimalZeros(mantissa) : mantissa;
+    return `${text}E${Number(exponent)}`;
+  }
 
-    try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
+  // Like SCI, with the power of ten a multiple of 3
+  function formatEngineering(num) {
+    if (num === 0) return (0).toFixed(state.fixDecimals) + "E0";
 
-      if (value === 0) {
-        showError("Division by zero");
-        return;
-      }
+    let exponent = Math.floor(decimalExponent(num) / 3) * 3;
+    let mantissa = roundToDecimals(
+      shiftDecimal(num, -exponent),
+      state.fixDecimals
+    );
+    // Rounding can carry into the next group, as 999.999 does to 1000.00
+    if (Math.abs(mantissa) >= 1000) {
+      exponent += 3;
+      mantissa = roundToDecimals(
+        shiftDecimal(num, -exponent),
+        state.fixDecimals
+      );
+    }
+    return `${mantissa.toFixed(state.fixDecimals)}E${exponent}`;
+  }
 
-      const result = 1 / value;
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory("1/(" + state.entryLine + ")", state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
-    } catch (error) {
-      showError("Invalid input");
+  // Moves the decimal point without binary rounding error
+  function shiftDecimal(num, places) {
+    const [mantissa, exponent] = num.toExponential().split("e");
+    return Number(`${mantissa}e${Number(exponent) + places}`);
+  }
+
+  function trimDecimalZeros(text) {
+    return text.includes(".") ? text.replace(/\.?0+$/, "") : text;
+  }
+
+  // Both conversions use the current angle mode unless given a unit
+  function convertAngleToRadians(angle, unit = state.angleMode) {
+    switch (unit) {
+      case "DEG":
+        return (angle * Math.PI) / 180;
+      case "RAD":
+        return angle;
+      case "GRAD":
+        return (angle * Math.PI) / 200;
+      default:
+        return angle;
     }
   }
 
-  function executeAbsolute() {
-    if (!state.isOn) return;
+  function convertRadiansToAngle(radians, unit = state.angleMode) {
+    switch (unit) {
+      case "DEG":
+        return (radians * 180) / Math.PI;
+      case "RAD":
+        return radians;
+      case "GRAD":
+        return (radians * 200) / Math.PI;
+      default:
+        return radians;
+    }
+  }
+
+  function convertAngle(angle, from, to) {
+    if (from === to) return angle;
+    return convertRadiansToAngle(convertAngleToRadians(angle, from), to);
+  }
+
+  // The number the cursor is in, split into the text before and after the
+  // cursor, so an edit in the middle of 12.3 still sees its decimal point
+  function getCurrentNumber() {
+    const before = getTextBeforeCursor().match(/[\d.]*(ᴇ⁻?\d*)?$/)[0];
+    const rest = state.entryLine.slice(state.cursorPosition);
+    const after = before.includes(EXPONENT_MARK)
+      ? rest.match(/^\d*/)[0]
+      : rest.match(/^[\d.]*(ᴇ⁻?\d*)?/)[0];
+    return { before, after };
+  }
+
+  function getTextBeforeCursor() {
+    return state.entryLine.slice(0, state.cursorPosition);
+  }
 
+  // True when the text before the cursor ends in a number, name, closed
+  // group or postfix function
+  function hasOperandBeforeCursor() {
     try {
-      const value = state.entryLine
-        ? parseFloat(evaluateExpression(parseExpression(state.entryLine)))
-        : 0;
-      const result = Math.abs(value);
-
-      state.resultLine = formatNumber(result);
-      state.lastAnswer = result;
-      addToHistory("abs(" + state.entryLine + ")", state.resultLine);
-      state.entryLine = "";
-      updateDisplay();
+      const tokens = tokenize(getTextBeforeCursor());
+      const last = tokens[tokens.length - 1];
+      return Boolean(last) && OPERAND_END_TYPES.includes(last.type);
     } catch (error) {
-      showError("Invalid input");
+      return false;
     }
   }
 
-  // Menu functions
-  function openModeMenu() {
-    const mode = prompt(
-      "Select mode:\n1. Number Format (NORM/FIX/SCI/ENG)\n2. Angle Unit (DEG/RAD/GRAD)"
+  function isOperator(char) {
+    return ["+", "−", "×", "÷", "^", "√", "⁻"].includes(char);
+  }
+
+  // The operator text just before the cursor, such as "×" or " and "
+  function getTrailingOperator() {
+    const token = SYMBOL_TOKENS.find(
+      ({ type, text }) =>
+        type === "operator" && getTextBeforeCursor().endsWith(text)
     );
+    return token && token.text;
+  }
 
-    switch (mode) {
-      case "1":
-        const numFormat = prompt(
-          "Select number format:\n1. NORM\n2. FIX\n3. SCI\n4. ENG"
-        );
-        const numFormats = ["", "NORM", "FIX", "SCI", "ENG"];
-        if (numFormat && numFormats[parseInt(numFormat)]) {
-          setDisplayMode(numFormats[parseInt(numFormat)]);
+  // True when the next key must start a new operand
+  function expectsOperand() {
+    const lastChar = getTextBeforeCursor().slice(-1);
+    return (
+      lastChar === "" ||
+      Boolean(getTrailingOperator()) ||
+      isOperator(lastChar) ||
+      ["(", "[", ",", EXPONENT_MARK].includes(lastChar)
+    );
+  }
+
+  // Each item keeps its result value so it can be pasted back exactly
+  function addToHistory(entry, result, value) {
+    state.history.unshift({ entry, result, value });
+    if (state.history.length > HISTORY_SIZE) {
+      state.history.pop();
+    }
+  }
+
+  // MathPrint rendering
+  // The entry line stays a flat string; MathPrint lays it out from its
+  // tokens. Template operands (numerators, denominators, exponents, indices
+  // and radicands) become slots: parentheses that only delimit a slot are
+  // hidden and an empty slot is drawn as a box. The walk that draws the
+  // cursor also collects every position the cursor may stop at.
+  function layoutExpression(text) {
+    const layout = { tokens: tokenize(text), index: 0, length: text.length };
+    const sequence = layoutSequence(layout, 0);
+
+    // Stray closing tokens have nothing to close; keep them as text
+    while (layout.index < layout.tokens.length) {
+      sequence.items.push(createTextItem(layout.tokens[layout.index++]));
+      sequence.items.push(...layoutSequence(layout, 0).items);
+    }
+    sequence.end = text.length;
+
+    return sequence;
+  }
+
+  function peekLayoutToken(layout) {
+    return layout.tokens[layout.index];
+  }
+
+  function getLayoutEnd(layout) {
+    const last = layout.tokens[layout.index - 1];
+    return last ? last.position + last.text.length : 0;
+  }
+
+  // Lay out items up to the next closing parenthesis or bracket
+  function layoutSequence(layout, start) {
+    const items = [];
+
+    for (;;) {
+      const token = peekLayoutToken(layout);
+      if (!token || token.type === "rparen" || token.type === "rbracket") {
+        break;
+      }
+      layoutItem(layout, items);
+    }
+
+    const token = peekLayoutToken(layout);
+    return { items, start, end: token ? token.position : layout.length };
+  }
+
+  function layoutItem(layout, items) {
+    const token = layout.tokens[layout.index++];
+
+    switch (token.type) {
+      case "fractionBar": {
+        const numerator = toSlot(popOperand(items), token.position);
+        const denominator = layoutOperand(layout, false);
+        items.push({
+          kind: "fraction",
+          numerator,
+          denominator,
+          start: numerator.start,
+          end: denominator.end,
+        });
+        break;
+      }
+      case "mixedSeparator": {
+        const whole = toSlot(popOperand(items), token.position);
+        const numerator = layoutOperand(layout, false);
+        const bar = peekLayoutToken(layout);
+        let denominator = emptySlot(numerator.end);
+        if (bar && bar.type === "fractionBar") {
+          layout.index++;
+          denominator = layoutOperand(layout, false);
+        }
+        items.push({
+          kind: "mixed",
+          whole,
+          fraction: { kind: "fraction", numerator, denominator },
+          start: whole.start,
+          end: denominator.end,
+        });
+        break;
+      }
+      case "operator":
+        if (token.value === "^" || token.value === "ˣ√") {
+          items.push(layoutPower(layout, items, token));
+        } else {
+          items.push(createTextItem(token));
         }
         break;
-      case "2":
-        const angleMode = prompt("Select angle unit:\n1. DEG\n2. RAD\n3. GRAD");
-        const angleModes = ["", "DEG", "RAD", "GRAD"];
-        if (angleMode && angleModes[parseInt(angleMode)]) {
-          setAngleMode(angleModes[parseInt(angleMode)]);
+      case "lparen":
+        items.push(layoutGroup(layout, token, "rparen", ")"));
+        break;
+      case "lbracket":
+        items.push(layoutGroup(layout, token, "rbracket", "]"));
+        break;
+      case "function": {
+        const group = layoutGroup(layout, token, "rparen", ")");
+        if (token.value === "√") {
+          group.kind = "radical";
+        } else if (token.value === "³√") {
+          group.kind = "radical";
+          group.index = "3";
+        } else if (token.value === "abs") {
+          group.kind = "abs";
         }
+        items.push(group);
         break;
+      }
+      default:
+        items.push(createTextItem(token));
     }
   }
 
-  function setDisplayMode(mode) {
-    if (!state.isOn) return;
-    state.displayMode = mode;
-    if (mode === "FIX") {
-      const decimals = prompt("Enter number of decimal places (0-9):", "2");
-      if (decimals !== null) {
-        state.fixDecimals = Math.max(0, Math.min(9, parseInt(decimals) || 2));
-      }
-    }
-    updateIndicators();
-    if (state.resultLine) {
-      state.resultLine = formatNumber(parseFloat(state.resultLine));
-      updateDisplay();
-    }
+  // The base of a power keeps its parentheses; the index of a root does not
+  function layoutPower(layout, items, token) {
+    const operand = popOperand(items);
+    const isPower = token.value === "^";
+    const lower = isPower
+      ? wrapSlot(operand, token.position)
+      : toSlot(operand, token.position);
+    const upper = layoutOperand(layout, true);
+
+    return {
+      kind: isPower ? "power" : "root",
+      lower,
+      upper,
+      start: lower.start,
+      end: upper.end,
+    };
   }
 
-  function setAngleMode(mode) {
-    state.angleMode = mode;
-    updateIndicators();
+  function createTextItem(token) {
+    return {
+      kind: "text",
+      text: token.text,
+      type: token.type,
+      start: token.position,
+      end: token.position + token.text.length,
+      operand: !["operator", "negation", "comma", "conversion"].includes(
+        token.type
+      ),
+    };
   }
 
-  function showAngleMenu() {
-    const angle = prompt("Select angle unit:\n1. DEG\n2. RAD\n3. GRAD");
-    const angleModes = ["", "DEG", "RAD", "GRAD"];
-    if (angle && angleModes[parseInt(angle)]) {
-      setAngleMode(angleModes[parseInt(angle)]);
+  function layoutGroup(layout, openToken, closingType, closeText) {
+    const sequence = layoutSequence(
+      layout,
+      openToken.position + openToken.text.length
+    );
+    const close = peekLayoutToken(layout);
+    const closed = Boolean(close && close.type === closingType);
+    if (closed) {
+      layout.index++;
     }
-  }
 
-  function showMathMenu() {
-    showMessage("Math menu not implemented");
+    return {
+      kind: "group",
+      open: openToken.text,
+      close: closed ? closeText : "",
+      isParenthesis: openToken.type === "lparen",
+      sequence,
+      start: openToken.position,
+      end: closed ? close.position + 1 : layout.length,
+    };
   }
 
-  function showAppsMenu() {
-    showMessage("Apps menu not implemented");
+  // Take the operand laid out just before a template symbol, if any
+  function popOperand(items) {
+    const last = items[items.length - 1];
+    if (!last || (last.kind === "text" && !last.operand)) return null;
+    return items.pop();
   }
 
-  function openStatisticsMenu() {
-    showMessage("Statistics menu not implemented");
+  function emptySlot(position) {
+    return {
+      kind: "slot",
+      sequence: { items: [], start: position, end: position },
+      start: position,
+      end: position,
+    };
   }
 
-  function openDataEditor() {
-    showMessage("Data editor not implemented");
-  }
+  function wrapSlot(item, position) {
+    if (!item) return emptySlot(position);
 
-  function openTableFunction() {
-    showMessage("Table function not implemented");
+    return {
+      kind: "slot",
+      sequence: { items: [item], start: item.start, end: item.end },
+      start: item.start,
+      end: item.end,
+    };
   }
 
-  function resetCalculator() {
-    if (confirm("Reset all memory and settings?")) {
-      state = {
-        isOn: true,
-        isSecondMode: false,
-        isAlphaMode: false,
-        angleMode: "DEG",
-        displayMode: "NORM",
-        fixDecimals: 2,
-        entryLine: "",
-        resultLine: "",
-        history: [],
-        memory: {
-          M: 0,
-          x: 0,
-          y: 0,
-          z: 0,
-          t: 0,
-          a: 0,
-          b: 0,
-          c: 0,
-        },
-        lists: {
-          L1: [],
-          L2: [],
-          L3: [],
-          L4: [],
-          L5: [],
-          L6: [],
-        },
-        lastAnswer: 0,
-        cursorPosition: 0,
-        isInsertMode: false,
-        historyIndex: -1,
-        isInStatMode: false,
+  // A parenthesised operand shows without its parentheses
+  function toSlot(item, position) {
+    if (item && item.kind === "group" && item.isParenthesis) {
+      return {
+        kind: "slot",
+        sequence: item.sequence,
+        start: item.start,
+        end: item.end,
       };
-      updateDisplay();
-      updateIndicators();
-      showMessage("Calculator reset");
     }
+    return wrapSlot(item, position);
   }
 
-  // Calculation functions
-  function calculate() {
-    if (!state.isOn || !state.entryLine) return;
+  // Denominators take a single primary; exponents and radicands may also
+  // carry negation, fractions, postfix functions and further powers
+  function layoutOperand(layout, isExponent) {
+    const token = peekLayoutToken(layout);
+    if (!token || !OPERAND_START_TYPES.includes(token.type)) {
+      return emptySlot(token ? token.position : layout.length);
+    }
 
-    try {
-      const expression = parseExpression(state.entryLine);
-      const result = evaluateExpression(expression);
+    const items = [];
+    while (isExponent && peekLayoutToken(layout).type === "negation") {
+      items.push(createTextItem(layout.tokens[layout.index++]));
+    }
 
-      if (isFinite(result)) {
-        state.lastAnswer = result;
-        state.resultLine = formatNumber(result);
+    const next = peekLayoutToken(layout);
+    if (next && OPERAND_START_TYPES.includes(next.type)) {
+      layoutItem(layout, items);
+    }
 
-        // Add to history
-        addToHistory(state.entryLine, state.resultLine);
+    while (isExponent && continuesExponent(peekLayoutToken(layout))) {
+      layoutItem(layout, items);
+    }
 
-        state.entryLine = "";
-        state.historyIndex = -1;
-      } else {
-        showError("Invalid calculation");
-      }
-    } catch (error) {
-      showError("Syntax error");
+    if (items.length === 1) {
+      return toSlot(items[0], token.position);
     }
 
-    updateDisplay();
+    const end = getLayoutEnd(layout);
+    return {
+      kind: "slot",
+      sequence: { items, start: token.position, end },
+      start: token.position,
+      end,
+    };
   }
 
-  // Expression parsing and evaluation
-  function parseExpression(expr) {
-    // Replace display symbols with JavaScript operators
-    expr = expr
-      .replace(/×/g, "*")
-      .replace(/÷/g, "/")
-      .replace(/−/g, "-")
-      .replace(/π/g, PI.toString())
-      .replace(/e/g, E.toString())
-      .replace(/E/g, "e"); // Scientific notation
-
-    return expr;
+  function continuesExponent(token) {
+    return Boolean(
+      token &&
+        (token.type === "postfix" ||
+          token.type === "fractionBar" ||
+          token.value === "^" ||
+          token.value === "ˣ√")
+    );
   }
 
-  function evaluateExpression(expr) {
-    // Basic expression evaluation with safety checks
-    // Remove any dangerous characters
-    const sanitizedExpr = expr.replace(/[^0-9+\-*/().,e]/g, "");
+  // Sequences nested directly inside a laid-out item
+  function getChildSequences(item) {
+    switch (item.kind) {
+      case "group":
+      case "radical":
+      case "abs":
+      case "slot":
+        return [item.sequence];
+      case "fraction":
+        return [item.numerator.sequence, item.denominator.sequence];
+      case "mixed":
+        return [item.whole.sequence, ...getChildSequences(item.fraction)];
+      case "power":
+      case "root":
+        return [item.lower.sequence, item.upper.sequence];
+      default:
+        return [];
+    }
+  }
 
+  // Where up (−1) or down (1) moves the cursor from a numerator to its
+  // denominator or back, or null when the cursor is not in a fraction
+  function getVerticalSlotTarget(text, cursor, direction) {
+    let sequence;
     try {
-      // Use Function constructor instead of eval for better safety
-      const result = new Function("return " + sanitizedExpr)();
-      return result;
+      sequence = layoutExpression(text);
     } catch (error) {
-      throw new Error("Invalid expression");
+      return null;
     }
-  }
 
-  // Utility functions
-  function formatNumber(num) {
-    if (!isFinite(num)) return "Error";
+    const found = findFractionAt(sequence, cursor);
+    if (!found) return null;
+
+    if (direction === 1 && found.inNumerator) {
+      return found.fraction.denominator.sequence.end;
+    }
+    if (direction === -1 && !found.inNumerator) {
+      return found.fraction.numerator.sequence.end;
+    }
+    return null;
+  }
 
-    let formatted;
+  function findFractionAt(sequence, cursor) {
+    for (const item of sequence.items) {
+      for (const child of getChildSequences(item)) {
+        if (cursor >= child.start && cursor <= child.end) {
+          const inner = findFractionAt(child, cursor);
+          if (inner) return inner;
+        }
+      }
 
-    switch (state.displayMode) {
-      case "FIX":
-        formatted = num.toFixed(state.fixDecimals);
-        break;
-      case "SCI":
-        formatted = num.toExponential(state.fixDecimals);
-        break;
-      case "ENG":
-        formatted = formatEngineering(num);
-        break;
-      default: // NORM
-        if (Math.abs(num) < 1e-10 || Math.abs(num) > 1e10) {
-          formatted = num.toExponential(DISPLAY_PRECISION);
-        } else {
-          formatted = parseFloat(num.toPrecision(DISPLAY_PRECISION)).toString();
+      const fraction =
+        item.kind === "mixed"
+          ? item.fraction
+          : item.kind === "fraction" && item;
+      if (fraction) {
+        const { numerator, denominator } = fraction;
+        if (isWithin(cursor, numerator.sequence)) {
+          return { fraction, inNumerator: true };
+        }
+        if (isWithin(cursor, denominator.sequence)) {
+          return { fraction, inNumerator: false };
         }
+      }
     }
+    return null;
+  }
 
-    return formatted;
+  function isWithin(position, sequence) {
+    return position >= sequence.start && position <= sequence.end;
   }
 
-  function formatEngineering(num) {
-    if (num === 0) return "0";
+  // Render text as MathPrint HTML, drawing the cursor when one is given
+  function renderMathPrint(text, cursor = -1) {
+    const context = { cursor, placed: false, stops: null };
+    return renderSequence(layoutExpression(text), context);
+  }
 
-    const sign = num < 0 ? -1 : 1;
-    num = Math.abs(num);
+  function getCursorStops(text) {
+    const context = {
+      cursor: -1,
+      placed: true,
+      stops: new Set([0, text.length]),
+    };
 
-    const exp = Math.floor(Math.log10(num));
-    const engExp = Math.floor(exp / 3) * 3;
-    const mantissa = (sign * num) / Math.pow(10, engExp);
+    try {
+      renderSequence(layoutExpression(text), context);
+    } catch (error) {
+      // Text that cannot be laid out lets the cursor stop anywhere
+      for (let i = 0; i <= text.length; i++) {
+        context.stops.add(i);
+      }
+    }
 
-    return mantissa.toFixed(state.fixDecimals) + "E" + engExp;
+    return context.stops;
   }
 
-  function convertAngleToRadians(angle) {
-    switch (state.angleMode) {
-      case "DEG":
-        return (angle * Math.PI) / 180;
-      case "RAD":
-        return angle;
-      case "GRAD":
-        return (angle * Math.PI) / 200;
-      default:
-        return angle;
+  function renderCursorAt(position, context) {
+    if (context.stops) {
+      context.stops.add(position);
     }
+    if (context.placed || context.cursor !== position) return "";
+
+    context.placed = true;
+    return renderCursor();
   }
 
-  function convertRadiansToAngle(radians) {
-    switch (state.angleMode) {
-      case "DEG":
-        return (radians * 180) / Math.PI;
-      case "RAD":
-        return radians;
-      case "GRAD":
-        return (radians * 200) / Math.PI;
-      default:
-        return radians;
+  // Overwrite mode draws an underscore in place of the bar
+  function renderCursor() {
+    const mode = state.isInsertMode ? "" : " overwrite";
+    return `<span class="entry-cursor${mode}"></span>`;
+  }
+
+  function renderSequence(sequence, context) {
+    let html = "";
+    for (const item of sequence.items) {
+      html += renderCursorAt(item.start, context);
+      html += renderLayoutItem(item, context);
     }
+    return html + renderCursorAt(sequence.end, context);
   }
 
-  function getCurrentNumber() {
-    // Extract the current number being entered
-    const match = state.entryLine.match(/[-+]?[\d.]*$/);
-    return match ? match[0] : "";
+  function renderSlot(slot, context) {
+    const empty = slot.sequence.items.length === 0 ? " mp-empty" : "";
+    const content = renderSequence(slot.sequence, context);
+    return `<span class="mp-slot${empty}">${content}</span>`;
   }
 
-  function isOperator(char) {
-    return ["+", "−", "×", "÷", "^"].includes(char);
+  function renderLayoutItem(item, context) {
+    switch (item.kind) {
+      case "text":
+        return renderTextItem(item, context);
+      case "group":
+        return (
+          escapeHtml(item.open) +
+          renderSequence(item.sequence, context) +
+          item.close
+        );
+      case "radical":
+        return renderRadical(
+          item.index || "",
+          renderSequence(item.sequence, context)
+        );
+      case "abs":
+        return `|${renderSequence(item.sequence, context)}|`;
+      case "fraction":
+        return renderFraction(item, context);
+      case "mixed":
+        return (
+          renderSlot(item.whole, context) +
+          renderFraction(item.fraction, context)
+        );
+      case "power":
+        return (
+          renderSlot(item.lower, context) +
+          `<sup class="mp-exponent">${renderSlot(item.upper, context)}</sup>`
+        );
+      case "root":
+        return renderRadical(
+          renderSlot(item.lower, context),
+          renderSlot(item.upper, context)
+        );
+      default:
+        return "";
+    }
   }
 
-  function addToHistory(entry, result) {
-    state.history.unshift({ entry, result });
-    if (state.history.length > HISTORY_SIZE) {
-      state.history.pop();
+  // The cursor may also sit between the digits of a number
+  function renderTextItem(item, context) {
+    if (item.type !== "number") {
+      return escapeHtml(item.text);
+    }
+
+    let html = "";
+    for (let i = 0; i < item.text.length; i++) {
+      if (i > 0) {
+        html += renderCursorAt(item.start + i, context);
+      }
+      html += item.text[i];
     }
+    return html;
+  }
+
+  function renderFraction(fraction, context) {
+    const numerator = renderSlot(fraction.numerator, context);
+    const denominator = renderSlot(fraction.denominator, context);
+    return (
+      `<span class="mp-fraction"><span class="mp-numerator">${numerator}</span>` +
+      `<span class="mp-denominator">${denominator}</span></span>`
+    );
+  }
+
+  function renderRadical(indexHtml, radicandHtml) {
+    const index = indexHtml ? `<sup class="mp-index">${indexHtml}</sup>` : "";
+    return (
+      `<span class="mp-root">${index}<span class="mp-radical-sign">√</span>` +
+      `<span class="mp-radicand">${radicandHtml}</span></span>`
+    );
+  }
+
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
   }
 
   // Display update functions
   function updateDisplay() {
+    saveState();
+
     if (!state.isOn) {
       elements.entryLine.textContent = "";
-      elements.resultLine.textContent = "";
-      elements.historyLine1.textContent = "";
-      elements.historyLine2.textContent = "";
+      elements.history.textContent = "";
       return;
     }
 
-    elements.entryLine.textContent = state.entryLine || "0";
-    elements.resultLine.textContent = state.resultLine;
+    const isMathPrint = state.displayFormat === "MATHPRINT";
+    elements.display.classList.toggle("mathprint", isMathPrint);
 
-    // Update history lines
-    if (state.history.length > 0) {
-      elements.historyLine1.textContent = state.history[0].entry;
-      elements.historyLine2.textContent = state.history[0].result;
-    } else {
-      elements.historyLine1.textContent = "";
-      elements.historyLine2.textContent = "";
+    // Menus and full-screen apps replace the entry, result and history lines
+    elements.display.classList.toggle(
+      "screen-active",
+      Boolean(state.screen || state.menu)
+    );
+    if (state.menu) {
+      elements.screen.innerHTML = renderMenu();
+      return;
+    }
+    if (state.screen) {
+      elements.screen.innerHTML = renderScreen();
+      return;
+    }
+
+    elements.entryLine.innerHTML = renderEntryLine();
+    elements.history.innerHTML = renderHistory();
+  }
+
+  // Expressions sit on the left with their results on the right, newest
+  // just above the entry line. The view scrolls to keep a highlighted line
+  // in sight.
+  function renderHistory() {
+    const lines = [];
+    state.history.forEach((item, i) => {
+      lines.unshift({ kind: "result", text: item.result, line: i * 2 });
+      lines.unshift({ kind: "entry", text: item.entry, line: i * 2 + 1 });
+    });
+
+    const first = Math.max(0, state.historyLine - HISTORY_ROWS + 1);
+    return lines
+      .filter(({ line }) => line >= first && line < first + HISTORY_ROWS)
+      .map(({ kind, text, line }) => {
+        const selected = line === state.historyLine ? " selected" : "";
+        return (
+          `<div class="history-line history-${kind}${selected}">` +
+          `${renderDisplayText(text)}</div>`
+        );
+      })
+      .join("");
+  }
+
+  function renderEntryLine() {
+    const text = state.entryLine;
+    const cursor = state.cursorPosition;
+
+    if (state.displayFormat === "MATHPRINT") {
+      try {
+        return renderMathPrint(text, cursor);
+      } catch (error) {
+        // Fall back to plain text for entries that cannot be tokenized
+      }
     }
+
+    return (
+      escapeHtml(text.slice(0, cursor)) +
+      renderCursor() +
+      escapeHtml(text.slice(cursor))
+    );
+  }
+
+  function renderDisplayText(text) {
+    if (state.displayFormat === "MATHPRINT" && text) {
+      try {
+        return renderMathPrint(text);
+      } catch (error) {
+        // Results such as error messages are shown as they are
+      }
+    }
+    return escapeHtml(text);
   }
 
   function updateIndicators() {
     // Update status indicators
     elements.secondIndicator.classList.toggle("active", state.isSecondMode);
-    elements.hypIndicator.classList.toggle("active", false); // HYP not implemented
+    elements.hypIndicator.classList.toggle("active", state.isHypMode);
     elements.fixIndicator.classList.toggle(
       "active",
       state.displayMode === "FIX"
@@ -1374,8 +6479,12 @@ const TI30XSCalculator = (function () {
     );
     elements.angleIndicator.textContent = state.angleMode;
     elements.angleIndicator.classList.add("active");
-    elements.kIndicator.classList.toggle("active", false); // K not implemented
-    elements.statIndicator.classList.toggle("active", state.isInStatMode);
+    elements.kIndicator.classList.toggle("active", Boolean(state.constant));
+    elements.statIndicator.classList.toggle(
+      "active",
+      Boolean(state.statResults)
+    );
+    saveState();
   }
 
   function updateButtonStates() {
@@ -1384,6 +6493,39 @@ const TI30XSCalculator = (function () {
   }
 
   // Error and message functions
+  // Calculator errors open an error screen naming the error type. QUIT
+  // clears the entry and returns to the home screen. GOTO, offered when the
+  // error came from the entry line, puts the cursor where it occurred.
+  function showErrorScreen(error, source = null) {
+    const fromEntry = source === state.entryLine;
+    const items = [{ label: "QUIT", select: () => quitErrorScreen(fromEntry) }];
+    if (typeof error.position === "number" && fromEntry) {
+      items.push({
+        label: "GOTO",
+        select: () =>
+          moveCursorTo(Math.min(error.position, state.entryLine.length)),
+      });
+    }
+
+    state.historyLine = -1;
+    openMenu([
+      {
+        title: `ERROR: ${error.type || "SYNTAX"}`,
+        message: error.message,
+        items,
+      },
+    ]);
+  }
+
+  // QUIT returns to the screen that raised the error, such as DATA or the
+  // table, clearing the entry when the error came from it
+  function quitErrorScreen(fromEntry) {
+    if (fromEntry) {
+      setEntryLine("");
+    }
+    updateDisplay();
+  }
+
   function showError(message) {
     elements.errorDisplay.textContent = message;
     elements.errorDisplay.hidden = false;